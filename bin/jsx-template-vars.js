@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Pre-render a bundle built with the template vars plugin and write the template file.
+ *
+ * Usage:
+ * jsx-template-vars <bundle> [--output templates/app.php] [--mode jsdom|node] [--html index.html]
+ *                   [--selector #app] [--outer] [--wait 100] [--url http://localhost/]
+ *                   [--languages php,handlebars]
+ *
+ * If no output is set, the template is written to stdout.  Bundles built for several languages need
+ * an output, which is written for each language (eg `--output templates/app` writes `app.php` and `app.hbs`).
+ */
+const { prerender } = require( '../prerender' );
+
+const usage = 'Usage: jsx-template-vars <bundle> [--output <file>] [--mode jsdom|node] [--html <file>] [--selector <selector>] [--outer] [--wait <ms>] [--url <url>] [--languages <languages>]';
+
+// Options that don't take a value.
+const flags = [ 'outer' ];
+
+function parseArgs( args ) {
+	const options = {};
+	for ( let i = 0; i < args.length; i++ ) {
+		const arg = args[ i ];
+		if ( arg === '--help' || arg === '-h' ) {
+			options.help = true;
+		} else if ( arg.startsWith( '--' ) ) {
+			const name = arg.substring( 2 );
+			if ( flags.includes( name ) ) {
+				options[ name ] = true;
+			} else {
+				options[ name ] = args[ ++i ];
+			}
+		} else if ( ! options.bundle ) {
+			options.bundle = arg;
+		}
+	}
+	if ( options.wait !== undefined ) {
+		options.wait = parseInt( options.wait, 10 );
+	}
+	if ( options.languages !== undefined ) {
+		options.languages = options.languages.split( ',' ).map( ( language ) => language.trim() ).filter( Boolean );
+	}
+	return options;
+}
+
+const options = parseArgs( process.argv.slice( 2 ) );
+if ( options.help || ! options.bundle ) {
+	console.log( usage );
+	process.exit( options.help ? 0 : 1 );
+}
+if ( options.languages?.length && ! options.output ) {
+	console.error( 'An output is required when pre-rendering for several languages.' );
+	process.exit( 1 );
+}
+
+prerender( options ).then( ( template ) => {
+	if ( ! options.output ) {
+		process.stdout.write( template );
+	}
+} ).catch( ( err ) => {
+	console.error( err.message );
+	process.exit( 1 );
+} );
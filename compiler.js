@@ -0,0 +1,594 @@
+/**
+ * Static compilation.
+ *
+ * Instead of running the app to print the template tags (see `./prerender`), pure presentational
+ * components can be compiled to a template at build time - once a component has been transformed
+ * by the controllers, its returned JSX is evaluated directly (with the language runtime) and
+ * rendered to markup, which is written to a template file per component, eg `templates/Card.hbs`.
+ *
+ * Only a subset of JS is supported (the props are empty, as they are when rendering the template).
+ * Components that use hooks, render other components, or use unsupported expressions are reported,
+ * as they need the runtime (pre-render) path.
+ */
+const fs = require( 'fs' );
+const path = require( 'path' );
+const { tidyMarkup } = require( './prerender/markup' );
+const { unwrapTSExpression } = require( './utils' );
+const diagnostics = require( './diagnostics' );
+const { loadLanguageRuntime, loadLanguageRuntimes, getLanguageExtension, expandMarkers } = require( './runtime' );
+
+const defaultOutputDir = './templates';
+
+// Globals that can be used in statically compiled components.
+const allowedGlobals = { Math, String, Number, Boolean, Array, Object, JSON };
+
+const voidElements = [ 'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr' ];
+
+// JSX prop names that are rendered as a different attribute.
+const attributeNames = {
+	className: 'class',
+	htmlFor: 'for',
+	tabIndex: 'tabindex',
+	readOnly: 'readonly',
+	maxLength: 'maxlength',
+	colSpan: 'colspan',
+	rowSpan: 'rowspan',
+	autoComplete: 'autocomplete',
+	autoFocus: 'autofocus',
+	contentEditable: 'contenteditable',
+	crossOrigin: 'crossorigin',
+	dateTime: 'datetime',
+	encType: 'enctype',
+	srcSet: 'srcset',
+	spellCheck: 'spellcheck',
+	noValidate: 'novalidate',
+	defaultValue: 'value',
+	defaultChecked: 'checked',
+};
+
+// Props that are not rendered as attributes.
+const ignoredProps = [ 'key', 'ref', 'children', 'dangerouslySetInnerHTML', 'suppressHydrationWarning', 'suppressContentEditableWarning' ];
+
+// Style properties that don't have a `px` unit added to numbers (the same as `getStyleAttribute` in `language/index.js`).
+const unitlessStyles = [ 'opacity', 'zIndex', 'fontWeight', 'lineHeight', 'flex', 'flexGrow', 'flexShrink', 'order', 'zoom' ];
+
+/**
+ * An error for code that can't be compiled to a static template.
+ */
+class StaticCompileError extends Error {
+	constructor( message, node ) {
+		const line = node?.loc ? ` (line ${ node.loc.start.line })` : '';
+		super( `${ message }${ line }` );
+		this.name = 'StaticCompileError';
+	}
+}
+
+/**
+ * Rendered markup, which is not escaped when it's output.
+ */
+class Markup {
+	constructor( html ) {
+		this.html = html;
+	}
+}
+
+/**
+ * Escape text or an attribute value (the same as React).
+ *
+ * @param {String} value The value.
+ * @returns {String} The escaped value.
+ */
+function escapeHTML( value ) {
+	const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' };
+	return String( value ).replace( /[&<>"']/g, ( char ) => entities[ char ] );
+}
+
+/**
+ * Render a style object, eg `{ fontSize: 12 }` becomes `font-size:12px`.
+ *
+ * @param {Object} style The style object.
+ * @returns {String} The style attribute value.
+ */
+function renderStyle( style ) {
+	return Object.entries( style )
+		.filter( ( [ , value ] ) => value !== null && value !== undefined && value !== '' && typeof value !== 'boolean' )
+		.map( ( [ property, value ] ) => {
+			const cssProperty = property.startsWith( '--' ) ? property : property.replace( /[A-Z]/g, ( char ) => `-${ char.toLowerCase() }` );
+			const cssValue = typeof value === 'number' && value !== 0 && ! unitlessStyles.includes( property ) ? `${ value }px` : value;
+			return `${ cssProperty }:${ cssValue }`;
+		} )
+		.join( ';' );
+}
+
+/**
+ * Render the attributes of a host element.
+ *
+ * @param {Object} props The props.
+ * @returns {String} The attributes.
+ */
+function renderAttributes( props ) {
+	return Object.entries( props ).map( ( [ name, value ] ) => {
+		// Skip React only props and event handlers.
+		if ( ignoredProps.includes( name ) || /^on[A-Z]/.test( name ) || typeof value === 'function' ) {
+			return '';
+		}
+		if ( value === null || value === undefined || value === false ) {
+			return '';
+		}
+		const attributeName = attributeNames[ name ] ?? name;
+		if ( name === 'style' && typeof value === 'object' ) {
+			return ` style="${ escapeHTML( renderStyle( value ) ) }"`;
+		}
+		if ( value === true ) {
+			// Data and aria attributes keep the value, other boolean attributes are empty.
+			return /^(data|aria)-/.test( name ) ? ` ${ attributeName }="true"` : ` ${ attributeName }=""`;
+		}
+		return ` ${ attributeName }="${ escapeHTML( value instanceof Markup ? value.html : value ) }"`;
+	} ).join( '' );
+}
+
+/**
+ * Render a value (the result of a JSX expression) to markup.
+ *
+ * @param {*} value The value.
+ * @returns {String} The markup.
+ */
+function renderValue( value ) {
+	if ( value === null || value === undefined || typeof value === 'boolean' ) {
+		return '';
+	}
+	if ( value instanceof Markup ) {
+		return value.html;
+	}
+	if ( Array.isArray( value ) ) {
+		return value.map( renderValue ).join( '' );
+	}
+	if ( typeof value === 'object' || typeof value === 'function' ) {
+		throw new StaticCompileError( 'Objects and functions can\'t be rendered' );
+	}
+	return escapeHTML( value );
+}
+
+/**
+ * Evaluates the (transformed) component, supporting a subset of JS.
+ */
+class StaticEvaluator {
+	constructor( babel, runtime, functionPath ) {
+		this.babel = babel;
+		this.functionPath = functionPath;
+		// The language functions (imported by the transformed components).
+		this.globals = {
+			...allowedGlobals,
+			getLanguageReplace: runtime.getLanguageReplace,
+			getLanguageList: runtime.getLanguageList,
+			getLanguageControl: runtime.getLanguageControl,
+			getStyleAttribute: runtime.getStyleAttribute,
+			// Components read the root context in `react` context mode.
+			useTemplateVarsContext: ( rootContext ) => rootContext,
+		};
+		// Module level bindings that have been evaluated.
+		this.moduleValues = new Map();
+		this.evaluate = this.evaluate.bind( this );
+		this.evaluateStatements = this.evaluateStatements.bind( this );
+		this.evaluateCall = this.evaluateCall.bind( this );
+		this.evaluateJSX = this.evaluateJSX.bind( this );
+		this.createFunction = this.createFunction.bind( this );
+		this.bindPattern = this.bindPattern.bind( this );
+		this.lookup = this.lookup.bind( this );
+		this.render = this.render.bind( this );
+	}
+	// Render the component (with empty props) to markup.
+	render() {
+		const { types } = this.babel;
+		const { node } = this.functionPath;
+		if ( types.isClassMethod( node ) ) {
+			throw new StaticCompileError( 'Class components need the runtime path', node );
+		}
+		const component = this.createFunction( node, { vars: new Map(), parent: null } );
+		return renderValue( component( {} ) );
+	}
+	lookup( name, env, node ) {
+		const { types } = this.babel;
+		for ( let scope = env; scope; scope = scope.parent ) {
+			if ( scope.vars.has( name ) ) {
+				return scope.vars.get( name );
+			}
+		}
+		if ( name === 'undefined' ) {
+			return undefined;
+		}
+		if ( Object.prototype.hasOwnProperty.call( this.globals, name ) ) {
+			return this.globals[ name ];
+		}
+		// Follow module level constants, eg a lookup object declared outside the component.
+		const binding = this.functionPath.scope.getBinding( name );
+		if ( binding && types.isVariableDeclarator( binding.path.node ) && binding.path.node.init && binding.kind === 'const' ) {
+			if ( ! this.moduleValues.has( name ) ) {
+				this.moduleValues.set( name, this.evaluate( binding.path.node.init, { vars: new Map(), parent: null } ) );
+			}
+			return this.moduleValues.get( name );
+		}
+		throw new StaticCompileError( `The value of \`${ name }\` is not known at build time`, node );
+	}
+	createFunction( node, env ) {
+		const { types } = this.babel;
+		const self = this;
+		return function( ...args ) {
+			const scope = { vars: new Map(), parent: env };
+			node.params.forEach( ( param, index ) => self.bindPattern( param, args[ index ], scope ) );
+			if ( ! types.isBlockStatement( node.body ) ) {
+				return self.evaluate( node.body, scope );
+			}
+			return self.evaluateStatements( node.body.body, scope ).value;
+		};
+	}
+	bindPattern( pattern, value, env ) {
+		const { types } = this.babel;
+		if ( types.isIdentifier( pattern ) ) {
+			env.vars.set( pattern.name, value );
+		} else if ( types.isAssignmentPattern( pattern ) ) {
+			this.bindPattern( pattern.left, value === undefined ? this.evaluate( pattern.right, env ) : value, env );
+		} else if ( types.isObjectPattern( pattern ) ) {
+			const usedKeys = [];
+			pattern.properties.forEach( ( property ) => {
+				if ( types.isRestElement( property ) ) {
+					const rest = Object.fromEntries( Object.entries( value ?? {} ).filter( ( [ key ] ) => ! usedKeys.includes( key ) ) );
+					this.bindPattern( property.argument, rest, env );
+					return;
+				}
+				const key = property.computed ? this.evaluate( property.key, env ) : ( property.key.name ?? property.key.value );
+				usedKeys.push( key );
+				this.bindPattern( property.value, value?.[ key ], env );
+			} );
+		} else if ( types.isArrayPattern( pattern ) ) {
+			pattern.elements.forEach( ( element, index ) => {
+				if ( ! element ) {
+					return;
+				}
+				if ( types.isRestElement( element ) ) {
+					this.bindPattern( element.argument, ( value ?? [] ).slice( index ), env );
+					return;
+				}
+				this.bindPattern( element, value?.[ index ], env );
+			} );
+		} else {
+			throw new StaticCompileError( `Unsupported pattern \`${ pattern.type }\``, pattern );
+		}
+	}
+	/**
+	 * Evaluate a list of statements.
+	 *
+	 * @param {Array} statements The statements.
+	 * @param {Object} env The scope.
+	 * @returns {Object} Whether the statements returned, and the value.
+	 */
+	evaluateStatements( statements, env ) {
+		const { types } = this.babel;
+		// Hoist function declarations.
+		statements.forEach( ( statement ) => {
+			if ( types.isFunctionDeclaration( statement ) ) {
+				env.vars.set( statement.id.name, this.createFunction( statement, env ) );
+			}
+		} );
+		for ( const statement of statements ) {
+			if ( types.isFunctionDeclaration( statement ) || types.isEmptyStatement( statement ) ) {
+				continue;
+			}
+			// Statements added by the controllers can be parsed files.
+			if ( types.isFile( statement ) ) {
+				const result = this.evaluateStatements( statement.program.body, env );
+				if ( result.returned ) {
+					return result;
+				}
+			} else if ( types.isVariableDeclaration( statement ) ) {
+				statement.declarations.forEach( ( declarator ) => {
+					const value = declarator.init ? this.evaluate( declarator.init, env ) : undefined;
+					this.bindPattern( declarator.id, value, env );
+				} );
+			} else if ( types.isReturnStatement( statement ) ) {
+				return { returned: true, value: statement.argument ? this.evaluate( statement.argument, env ) : undefined };
+			} else if ( types.isIfStatement( statement ) ) {
+				const branch = this.evaluate( statement.test, env ) ? statement.consequent : statement.alternate;
+				if ( branch ) {
+					const result = this.evaluateStatements( types.isBlockStatement( branch ) ? branch.body : [ branch ], { vars: new Map(), parent: env } );
+					if ( result.returned ) {
+						return result;
+					}
+				}
+			} else if ( types.isBlockStatement( statement ) ) {
+				const result = this.evaluateStatements( statement.body, { vars: new Map(), parent: env } );
+				if ( result.returned ) {
+					return result;
+				}
+			} else if ( types.isExpressionStatement( statement ) ) {
+				this.evaluate( statement.expression, env );
+			} else {
+				throw new StaticCompileError( `Unsupported statement \`${ statement.type }\``, statement );
+			}
+		}
+		return { returned: false, value: undefined };
+	}
+	evaluate( sourceNode, env ) {
+		const { types } = this.babel;
+		const node = unwrapTSExpression( sourceNode );
+		switch ( node.type ) {
+			case 'StringLiteral':
+			case 'NumericLiteral':
+			case 'BooleanLiteral':
+				return node.value;
+			case 'NullLiteral':
+				return null;
+			case 'TemplateLiteral':
+				return node.quasis.map( ( quasi, index ) => {
+					const expression = node.expressions[ index ];
+					return quasi.value.cooked + ( expression ? String( this.evaluate( expression, env ) ) : '' );
+				} ).join( '' );
+			case 'Identifier':
+				return this.lookup( node.name, env, node );
+			case 'ArrayExpression':
+				return node.elements.flatMap( ( element ) => {
+					if ( types.isSpreadElement( element ) ) {
+						return [ ...this.evaluate( element.argument, env ) ];
+					}
+					return [ element ? this.evaluate( element, env ) : undefined ];
+				} );
+			case 'ObjectExpression': {
+				const object = {};
+				node.properties.forEach( ( property ) => {
+					if ( types.isSpreadElement( property ) ) {
+						Object.assign( object, this.evaluate( property.argument, env ) );
+					} else if ( types.isObjectProperty( property ) ) {
+						const key = property.computed ? this.evaluate( property.key, env ) : ( property.key.name ?? property.key.value );
+						object[ key ] = this.evaluate( property.value, env );
+					} else {
+						throw new StaticCompileError( 'Object methods are not supported', property );
+					}
+				} );
+				return object;
+			}
+			case 'MemberExpression':
+			case 'OptionalMemberExpression': {
+				const object = this.evaluate( node.object, env );
+				if ( ( object === null || object === undefined ) && node.optional ) {
+					return undefined;
+				}
+				const property = node.computed ? this.evaluate( node.property, env ) : node.property.name;
+				if ( object === null || object === undefined ) {
+					return undefined;
+				}
+				return object[ property ];
+			}
+			case 'CallExpression':
+			case 'OptionalCallExpression':
+				return this.evaluateCall( node, env );
+			case 'ArrowFunctionExpression':
+			case 'FunctionExpression':
+				return this.createFunction( node, env );
+			case 'UnaryExpression': {
+				const argument = this.evaluate( node.argument, env );
+				const operators = {
+					'!': () => ! argument,
+					'-': () => - argument,
+					'+': () => + argument,
+					'typeof': () => typeof argument,
+					'void': () => undefined,
+				};
+				if ( ! operators[ node.operator ] ) {
+					throw new StaticCompileError( `Unsupported operator \`${ node.operator }\``, node );
+				}
+				return operators[ node.operator ]();
+			}
+			case 'BinaryExpression': {
+				const left = this.evaluate( node.left, env );
+				const right = this.evaluate( node.right, env );
+				const operators = {
+					'+': () => left + right,
+					'-': () => left - right,
+					'*': () => left * right,
+					'/': () => left / right,
+					'%': () => left % right,
+					'===': () => left === right,
+					'!==': () => left !== right,
+					'==': () => left == right,
+					'!=': () => left != right,
+					'<': () => left < right,
+					'>': () => left > right,
+					'<=': () => left <= right,
+					'>=': () => left >= right,
+				};
+				if ( ! operators[ node.operator ] ) {
+					throw new StaticCompileError( `Unsupported operator \`${ node.operator }\``, node );
+				}
+				return operators[ node.operator ]();
+			}
+			case 'LogicalExpression': {
+				const left = this.evaluate( node.left, env );
+				if ( node.operator === '&&' ) {
+					return left && this.evaluate( node.right, env );
+				}
+				if ( node.operator === '||' ) {
+					return left || this.evaluate( node.right, env );
+				}
+				return left ?? this.evaluate( node.right, env );
+			}
+			case 'ConditionalExpression':
+				return this.evaluate( node.test, env ) ? this.evaluate( node.consequent, env ) : this.evaluate( node.alternate, env );
+			case 'JSXElement':
+			case 'JSXFragment':
+				return this.evaluateJSX( node, env );
+			default:
+				throw new StaticCompileError( `Unsupported expression \`${ node.type }\``, node );
+		}
+	}
+	evaluateCall( node, env ) {
+		const { types } = this.babel;
+		const { callee } = node;
+		// Hooks (and effects) need the runtime path.
+		const calleeName = types.isIdentifier( callee ) ? callee.name : ( types.isMemberExpression( callee ) && types.isIdentifier( callee.property ) ? callee.property.name : null );
+		if ( calleeName && /^use[A-Z]/.test( calleeName ) && ! Object.prototype.hasOwnProperty.call( this.globals, calleeName ) ) {
+			throw new StaticCompileError( `The hook \`${ calleeName }\` needs the runtime path`, node );
+		}
+		const args = node.arguments.flatMap( ( arg ) => types.isSpreadElement( arg ) ? [ ...this.evaluate( arg.argument, env ) ] : [ this.evaluate( arg, env ) ] );
+		if ( types.isMemberExpression( callee ) || types.isOptionalMemberExpression( callee ) ) {
+			const object = this.evaluate( callee.object, env );
+			if ( ( object === null || object === undefined ) && ( callee.optional || node.optional ) ) {
+				return undefined;
+			}
+			const property = callee.computed ? this.evaluate( callee.property, env ) : callee.property.name;
+			const method = object?.[ property ];
+			// Only allow methods of values (eg `items.map()` or `name.toUpperCase()`) and allowed globals.
+			const isValueMethod = object !== null && object !== undefined && typeof method === 'function' && ( typeof object !== 'object' || Array.isArray( object ) || Object.values( allowedGlobals ).includes( object ) );
+			if ( ! isValueMethod ) {
+				throw new StaticCompileError( `The function \`${ property }\` can't be called at build time`, node );
+			}
+			return method.apply( object, args );
+		}
+		const func = this.evaluate( callee, env );
+		if ( typeof func !== 'function' ) {
+			throw new StaticCompileError( 'The function can\'t be called at build time', node );
+		}
+		return func( ...args );
+	}
+	evaluateJSX( node, env ) {
+		const { types } = this.babel;
+		const children = types.react.buildChildren( node ).map( ( child ) => {
+			if ( types.isJSXSpreadChild( child ) ) {
+				return this.evaluate( child.expression, env );
+			}
+			return this.evaluate( child, env );
+		} );
+		if ( types.isJSXFragment( node ) ) {
+			return new Markup( renderValue( children ) );
+		}
+		const { name } = node.openingElement;
+		const tagName = types.isJSXNamespacedName( name ) ? `${ name.namespace.name }:${ name.name.name }` : ( name.name ?? null );
+		const isFragment = ( types.isJSXIdentifier( name ) && name.name === 'Fragment' ) || ( types.isJSXMemberExpression( name ) && name.property.name === 'Fragment' );
+		if ( isFragment ) {
+			return new Markup( renderValue( children ) );
+		}
+		// Components are rendered by the runtime path.
+		if ( ! tagName || types.isJSXMemberExpression( name ) || /^[A-Z]/.test( tagName ) ) {
+			const componentName = types.isJSXMemberExpression( name ) ? `${ name.object.name }.${ name.property.name }` : tagName;
+			throw new StaticCompileError( `The component \`${ componentName }\` is rendered, which needs the runtime path`, node );
+		}
+		const props = {};
+		node.openingElement.attributes.forEach( ( attribute ) => {
+			if ( types.isJSXSpreadAttribute( attribute ) ) {
+				Object.assign( props, this.evaluate( attribute.argument, env ) );
+				return;
+			}
+			const attributeName = types.isJSXNamespacedName( attribute.name ) ? `${ attribute.name.namespace.name }:${ attribute.name.name.name }` : attribute.name.name;
+			if ( ! attribute.value ) {
+				props[ attributeName ] = true;
+			} else if ( types.isJSXExpressionContainer( attribute.value ) ) {
+				props[ attributeName ] = types.isJSXEmptyExpression( attribute.value.expression ) ? undefined : this.evaluate( attribute.value.expression, env );
+			} else {
+				props[ attributeName ] = this.evaluate( attribute.value, env );
+			}
+		} );
+		const attributes = renderAttributes( props );
+		if ( voidElements.includes( tagName ) ) {
+			return new Markup( `<${ tagName }${ attributes }/>` );
+		}
+		const innerHTML = props.dangerouslySetInnerHTML ? String( props.dangerouslySetInnerHTML.__html ?? '' ) : renderValue( children.length ? children : props.children );
+		return new Markup( `<${ tagName }${ attributes }>${ innerHTML }</${ tagName }>` );
+	}
+}
+
+/**
+ * Get the static compilation options from the plugin config, eg `static: { outputDir: 'templates' }`.
+ *
+ * @param {Object} config The plugin config.
+ * @returns {Object|null} The options, or null if static compilation is not enabled.
+ */
+function getStaticOptions( config ) {
+	if ( ! config.static ) {
+		return null;
+	}
+	const options = config.static === true ? {} : config.static;
+	return {
+		outputDir: options.outputDir ?? defaultOutputDir,
+		extension: options.extension ?? ( config.language ? getLanguageExtension( config.language ) : 'html' ),
+	};
+}
+
+/**
+ * Create the static compiler for the plugin.
+ *
+ * When building for several languages (see the `languages` option), the components are rendered once
+ * with the neutral language and the markers are expanded into a template for each language.
+ *
+ * @param {Object} babel The babel instance.
+ * @param {Object} config The plugin config.
+ * @param {String} languageData The contents of the language file (injected into the components).
+ * @returns {Object|null} The compiler, or null if static compilation is not enabled.
+ */
+function createCompiler( babel, config, languageData ) {
+	const options = getStaticOptions( config );
+	if ( ! options ) {
+		return null;
+	}
+	let language = {};
+	let runtime = null;
+	let languageRuntimes = [];
+	try {
+		language = JSON.parse( languageData );
+		runtime = loadLanguageRuntime( language );
+		if ( language.neutral ) {
+			languageRuntimes = loadLanguageRuntimes( config.languages );
+		}
+	} catch ( err ) {
+		runtime = null;
+		diagnostics.report( null, `The language could not be loaded for static compilation: ${ err.message }`, config );
+	}
+
+	/**
+	 * Write a template file.
+	 *
+	 * @param {String} componentName The component name.
+	 * @param {String} extension The file extension.
+	 * @param {String} template The template.
+	 */
+	function writeTemplate( componentName, extension, template ) {
+		fs.mkdirSync( options.outputDir, { recursive: true } );
+		fs.writeFileSync( path.join( options.outputDir, `${ componentName }.${ extension }` ), tidyMarkup( template ) );
+	}
+
+	/**
+	 * Compile a (transformed) component to a template file.
+	 *
+	 * @param {Object} componentPath The component path (for reporting).
+	 * @param {String} componentName The component name.
+	 * @param {Object} functionPath The path of the component render function.
+	 */
+	function compileComponent( componentPath, componentName, functionPath ) {
+		if ( ! runtime || ! functionPath || ! componentName ) {
+			return;
+		}
+		let markup;
+		try {
+			markup = new StaticEvaluator( babel, runtime, functionPath ).render();
+		} catch ( err ) {
+			if ( ! ( err instanceof StaticCompileError ) ) {
+				throw err;
+			}
+			diagnostics.report( componentPath, `The component \`${ componentName }\` can't be compiled to a static template: ${ err.message }.`, config );
+			return;
+		}
+		if ( ! language.neutral ) {
+			writeTemplate( componentName, options.extension, markup );
+			return;
+		}
+		expandMarkers( markup, languageRuntimes ).forEach( ( { name, template } ) => {
+			writeTemplate( componentName, getLanguageExtension( name ), template );
+		} );
+	}
+
+	return {
+		compileComponent,
+	};
+}
+
+module.exports = {
+	createCompiler,
+};
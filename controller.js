@@ -1,12 +1,18 @@
 
 const {
+	getComponentFunctionPath,
+	getHocConfig,
+	getHocs,
+	getMemberExpressionPath,
 	isJSXElementComponent,
 	isJSXElementTextInput,
 } = require( './utils' );
 
 const { ReplaceController } = require( './controllers/replace' );
-const { ListController } = require( './controllers/list' );
+const { ListController, getContextExpression } = require( './controllers/list' );
 const { ControlController } = require( './controllers/control' );
+const diagnostics = require( './diagnostics' );
+const { getFormatters } = require( './formatters' );
 /**
  * Generate new uids for the provided scope.
  * 
@@ -26,6 +32,16 @@ function generateVarTypeUids( scope, vars ) {
 	return [ varMap, varNames ];
 }
 
+/**
+ * Create an object property for `__context__` to be used in an object pattern.
+ *
+ * @param {Object} types The babel types object.
+ * @returns {Object} The object property node.
+ */
+function createContextProperty( types ) {
+	return types.objectProperty( types.identifier( '__context__' ), types.identifier( '__context__' ), false, true );
+}
+
 
 
 const templateVarsController = {
@@ -36,7 +52,16 @@ const templateVarsController = {
 		list: {},
 	},
 	contextIdentifier: null,
-	init: function( templateVars, componentPath, babel ) {
+	/**
+	 * Transform a component, replacing its template vars with template tags.
+	 *
+	 * @param {Object} templateVars The template vars, by type.
+	 * @param {Object} componentPath The component path.
+	 * @param {Object} babel The babel instance.
+	 * @param {Object} config The plugin config.
+	 * @returns {Object|null} The path of the render function of the component, or null if it could not be found.
+	 */
+	init: function( templateVars, componentPath, babel, config = {} ) {
 		this.babel = babel;
 		const { types, parse } = babel;
 		// Get the three types of template vars.
@@ -67,6 +92,11 @@ const templateVarsController = {
 			mapped: listVarsMap,
 			names: listVarsNames,
 			toTag: {},
+			// Map callback items and destructured nested lists, used for tracking nested lists.
+			items: {},
+			nested: {},
+			// Index params of map callbacks, used for list metadata (eg `index === 0`).
+			indexes: {},
 		}
 		
 		
@@ -74,49 +104,107 @@ const templateVarsController = {
 		const self = this;
 		// Start the main traversal of component
 
-		// TODO - we should look through the params and apply the same logic...
-		const componentParam = componentPath.node.declarations[0].init.params[0];
+		// Find the function that renders the component (arrow function, function or class `render()` method),
+		// unwrapping any HOCs such as `memo( ... )` or `forwardRef( ... )`.
+		const hocs = getHocs( config );
+		const componentFunctionPath = getComponentFunctionPath( componentPath, types, hocs );
+		if ( ! componentFunctionPath ) {
+			diagnostics.report( componentPath, 'The render function of the component could not be found, its templateVars will be ignored.', config );
+			return null;
+		}
+		const componentFunction = componentFunctionPath.node;
 
+		// Warn about template vars that are not used, or lists used with unsupported methods (before they are updated).
+		// Vars followed from a parent component are props passed to the component, which don't need to be used.
+		const declaredVarNames = [ ...replaceVars, ...controlVars, ...listVars ].filter( ( [ varName, varConfig ] ) => ! varConfig.from ).map( ( [ varName ] ) => varName );
+		getUnusedVarNames( componentFunctionPath, declaredVarNames, types ).forEach( ( varName ) => {
+			diagnostics.report( componentFunctionPath, `The template var \`${ varName }\` is not used in the component.`, config );
+		} );
+		getUnsupportedListCalls( componentFunctionPath, this.vars.list.names, types ).forEach( ( [ callPath, methodName ] ) => {
+			diagnostics.report( callPath, `The list var is used with \`.${ methodName }()\`, only \`.map()\` is supported - the template will contain the unfiltered list.`, config );
+		} );
+
+		// Make sure we have a block statement to add our vars to, eg `( { title } ) => <h1>{ title }</h1>`.
+		if ( types.isArrowFunctionExpression( componentFunction ) && ! types.isBlockStatement( componentFunction.body ) ) {
+			componentFunctionPath.ensureBlock();
+		}
+
+		// In `react` context mode the context is passed through React context, instead of a `__context__` prop.
+		const useReactContext = config.context === 'react';
+
+		// The props expression to read `__context__` from (when props are not destructured).
 		let propsName = null;
-		// If the param is an object pattern, we want to add `__context__` as a property to it.
-		if ( componentPath.node.declarations[0].init.params.length === 0 ) {
-			// Then there are no params, so lets add an object pattern with one param, __context__.
-			componentPath.node.declarations[0].init.params.push( types.objectPattern( [ types.objectProperty( types.identifier( '__context__' ), types.identifier( '__context__' ), false, true ) ] ) );
-		} else if ( types.isObjectPattern( componentParam ) ) {
-			// Then we at the first param - which is *probably* props passed through as an object.
-			// For now lets assume it is, but this means we likely can't work with HOC components which have multiple params.
-			// TODO - maybe we should test again the last param as it is usually the props object in HOCs.
-
-			// Add __context__ as a property to the object.
-			componentParam.properties.push( types.objectProperty( types.identifier( '__context__' ), types.identifier( '__context__' ), false, true ) );
-		} else if ( types.isIdentifier( componentParam ) ) {
-			// If it's an identifier we need to declare it in the block statement.
-			propsName = componentParam.name;
+		if ( types.isClassMethod( componentFunction ) ) {
+			// Class components receive their props via `this.props`.
+			propsName = 'this.props';
+		} else {
+			// Props are usually the first param, but HOCs can be configured to pass them at a different position.
+			const hocConfig = getHocConfig( componentFunctionPath.parentPath.node, types, hocs );
+			const propsParamIndex = hocConfig ? hocConfig.propsParam : 0;
+			const { params } = componentFunction;
+
+			// Fill in any missing params before the props param.
+			while ( ! useReactContext && params.length < propsParamIndex ) {
+				params.push( componentPath.scope.generateUidIdentifier( 'uid' ) );
+			}
+
+			let componentParam = params[ propsParamIndex ];
+			// Look at the left side of default params, eg `( { name } = {} )`.
+			if ( types.isAssignmentPattern( componentParam ) ) {
+				componentParam = componentParam.left;
+			}
+
+			// If the param is an object pattern, we want to add `__context__` as a property to it.
+			if ( useReactContext ) {
+				// The component signature is not changed, but `props.name` style vars still need the props name.
+				if ( types.isIdentifier( componentParam ) ) {
+					propsName = componentParam.name;
+				}
+			} else if ( ! componentParam ) {
+				// Then there is no props param, so lets add an object pattern with one param, __context__.
+				params.push( types.objectPattern( [ createContextProperty( types ) ] ) );
+			} else if ( types.isObjectPattern( componentParam ) ) {
+				// Add __context__ as a property to the object (before any rest element).
+				const restIndex = componentParam.properties.findIndex( ( property ) => types.isRestElement( property ) );
+				const insertIndex = restIndex === -1 ? componentParam.properties.length : restIndex;
+				componentParam.properties.splice( insertIndex, 0, createContextProperty( types ) );
+			} else if ( types.isIdentifier( componentParam ) ) {
+				// If it's an identifier we need to declare it in the block statement.
+				propsName = componentParam.name;
+			}
 		}
 
 		this.contextIdentifier = componentPath.scope.generateUidIdentifier("uid");
-		let blockStatementDepth = 0; // make sure we only update the correct block statement.
+		// Class components read the React context with a consumer, which passes the context to this param.
+		const contextValueIdentifier = useReactContext && types.isClassMethod( componentFunction ) ? componentPath.scope.generateUidIdentifier( 'uid' ) : null;
+		// The context of components rendered in lists (in `react` context mode), keyed by element node.
+		const elementContexts = new Map();
 
-		const replaceController = new ReplaceController( this.vars.replace, this.contextIdentifier.name, babel );
+		const replaceController = new ReplaceController( this.vars.replace, this.contextIdentifier.name, babel, propsName, getFormatters( config ), config );
 		const listController = new ListController( this.vars.list, this.contextIdentifier.name, babel );
-		const controlController = new ControlController( this.vars.control, this.contextIdentifier.name, babel );
+		const controlController = new ControlController( this.vars.control, this.contextIdentifier.name, babel, propsName, listController );
 	
 
-		componentPath.traverse( {
+		componentFunctionPath.traverse( {
 			// Inject context into all components
 			JSXElement(subPath){
+				const { attributes } = subPath.node.openingElement;
+				// Elements are visited again when control branches are moved (see `updateIfStatements`), so
+				// attributes are only added once.
+				const hasAttribute = ( name ) => attributes.some( ( attr ) => attr?.name?.name === name );
 				// If we find a JSX element, check to see if it's a component,
 				// and if so, inject a `__context__` JSXAttribute.
-				if ( isJSXElementComponent( subPath ) ) {
-					let expression;
-					// check if the component is inside a `map` and increase the context by 1
-					if ( parentPathHasMap( subPath, types ) ) {
-						expression = types.binaryExpression( '+', self.contextIdentifier, types.numericLiteral( 1 ) );
-					} else {
-						expression = types.identifier( self.contextIdentifier.name );
+				if ( isJSXElementComponent( subPath ) && ! hasAttribute( '__context__' ) ) {
+					// Check if the component is inside a `map` and add the loop name to the context (for each level of nesting).
+					const loopNames = listController.getLoopNames( subPath );
+					const expression = getContextExpression( self.contextIdentifier.name, types, loopNames );
+					if ( ! useReactContext ) {
+						const contextAttribute = types.jSXAttribute( types.jSXIdentifier( '__context__' ), types.jSXExpressionContainer( expression ) );
+						attributes.push( contextAttribute );
+					} else if ( loopNames.length > 0 ) {
+						// Components outside of lists already have the context of the component.
+						elementContexts.set( subPath.node, expression );
 					}
-					const contextAttribute = types.jSXAttribute( types.jSXIdentifier( '__context__' ), types.jSXExpressionContainer( expression ) );
-					subPath.node.openingElement.attributes.push( contextAttribute );
 				}
 
 				/**
@@ -137,28 +225,42 @@ const templateVarsController = {
 				 * When we later scrape this page, it will then need to be converted back to the correct html attribute.
 				 */
 
-				if ( isJSXElementTextInput( subPath ) ) {
+				if ( isJSXElementTextInput( subPath ) && ! hasAttribute( 'jsxtv_value' ) ) {
 					// Now get the value attribute from the jsx element.
-					const valueAttribute = subPath.node.openingElement.attributes.find( attr => attr?.name?.name === 'value' );
+					const valueAttribute = attributes.find( attr => attr?.name?.name === 'value' );
 
 					if ( valueAttribute ) {
 						// Create a new attribute `jsxtv_value` and copy the value from the valueAttribute
 						const jsxtValueAttribute = types.jSXAttribute( types.jSXIdentifier( 'jsxtv_value' ), valueAttribute.value );
 
 						// And add it to the existing attributes.
-						subPath.node.openingElement.attributes.push( jsxtValueAttribute );
+						attributes.push( jsxtValueAttribute );
 					}
 
 				}
 
+				/**
+				 * The DOM drops invalid CSS values from the `style` attribute, and template tags are not valid
+				 * values, eg `style={ { color } }` would be rendered without a style.
+				 *
+				 * So inline style objects are also rendered as a string to a `jsxtv_style` attribute, which is converted
+				 * back to the `style` attribute when the markup is tidied.
+				 */
+				const styleAttribute = attributes.find( ( attr ) => attr?.name?.name === 'style' );
+				if ( ! isJSXElementComponent( subPath ) && styleAttribute && types.isJSXExpressionContainer( styleAttribute.value ) && types.isObjectExpression( styleAttribute.value.expression ) && ! hasAttribute( 'jsxtv_style' ) ) {
+					const styleString = types.callExpression( types.identifier( 'getStyleAttribute' ), [ types.cloneNode( styleAttribute.value.expression ) ] );
+					attributes.push( types.jSXAttribute( types.jSXIdentifier( 'jsxtv_style' ), types.jSXExpressionContainer( styleString ) ) );
+				}
+
 			},
 			BlockStatement( statementPath ) {
-				// TODO: Hacky way of making sure we only catch the first block statement - we should be able to check
-				// something on the parent to make this more reliable.
-				if ( blockStatementDepth !== 0 ) {
+				// Make sure we only update the body of the component function.
+				if ( statementPath.parentPath !== componentFunctionPath ) {
 					return;
 				}
-				blockStatementDepth++;
+
+				// Convert early returns / if statements that use control vars into ternaries (before adding our vars).
+				controlController.updateIfStatements( statementPath );
 
 				// Add replace vars to path.
 				replaceController.initVars( statementPath );
@@ -167,21 +269,31 @@ const templateVarsController = {
 				
 				
 				// Figure out if we need to add a __context__ variable to the local scope.
-				const nodesToAdd = [];
-				if ( propsName ) {
-					nodesToAdd.push( parse(`let ${ self.contextIdentifier.name } = typeof ${ propsName }.__context__ === 'number' ? ${ propsName }.__context__ : 0;` ) );
+				// The context is the list of context names, starting with the root data name (see `getLanguageString`).
+				const rootContext = JSON.stringify( [ config.dataName ?? 'data' ] );
+				let contextCode;
+				if ( contextValueIdentifier ) {
+					contextCode = `let ${ self.contextIdentifier.name } = Array.isArray( ${ contextValueIdentifier.name } ) ? ${ contextValueIdentifier.name } : ${ rootContext };`;
+				} else if ( useReactContext ) {
+					contextCode = `let ${ self.contextIdentifier.name } = useTemplateVarsContext( ${ rootContext } );`;
+				} else if ( propsName ) {
+					contextCode = `let ${ self.contextIdentifier.name } = Array.isArray( ${ propsName }.__context__ ) ? ${ propsName }.__context__ : ${ rootContext };`;
 				} else {
-					nodesToAdd.push( parse(`let ${ self.contextIdentifier.name } = typeof __context__ === 'number' ? __context__ : 0;` ) );
+					contextCode = `let ${ self.contextIdentifier.name } = Array.isArray( __context__ ) ? __context__ : ${ rootContext };`;
 				}
-				nodesToAdd.reverse();
-				nodesToAdd.forEach( ( node ) => {
-					statementPath.node.body.unshift( node );
-				} );
+				// Add the statements of the parsed program rather than the `File` - plugins in the same pass treat a nested
+				// program as the top level of a module, eg the commonjs transform replaces `this.props` with `(void 0).props`.
+				statementPath.node.body.unshift( ...parse( contextCode ).program.body );
+			},
+			MemberExpression( subPath ) {
+				// Replace any dot path replace vars, eg `props.name` or `user.address.city`.
+				replaceController.updateMemberExpressions( subPath );
 			},
 			Identifier( subPath ) {
 
-				// Update and Ternary conditions before parsing the other var types (so we can use their names
+				// Update lookups and Ternary conditions before parsing the other var types (so we can use their names
 				// before they're updated).
+				controlController.updateLookupExpressions( subPath );
 				controlController.updateTernaryConditions( subPath );
 				
 				// Now replace any replace or list vars identifier names with the new ones
@@ -194,30 +306,187 @@ const templateVarsController = {
 				const { expression: containerExpression } = subPath.node;
 
 				// Update any control vars in expressions in JSX
-				controlController.updateJSXExpressions( containerExpression, subPath, self.vars.list.toTag );
+				controlController.updateJSXExpressions( containerExpression, subPath, self.vars.list.toTag, listController.getListOptions );
 
 				// And tag and update any list vars in we find in JSX
 				listController.updateJSXListExpressions( containerExpression, subPath );
 			},
 		} );
-	}
-}
 
-// check if any parent paths contain a map call
-function parentPathHasMap( path, types ) {
-	let parentPath = path.parentPath;
-	while ( parentPath ) {
-		if ( types.isCallExpression( parentPath.node ) && types.isMemberExpression( parentPath.node.callee ) ) {
-			const memberExpression = parentPath.node.callee;
-			if ( types.isIdentifier( memberExpression.property ) && memberExpression.property.name === 'map' ) {
-				return true;
+		if ( useReactContext ) {
+			wrapContextProviders( componentFunctionPath, elementContexts, types );
+			if ( contextValueIdentifier ) {
+				wrapContextConsumer( componentFunctionPath, contextValueIdentifier, types );
 			}
 		}
-		parentPath = parentPath.parentPath;
+
+		// Any control vars left in the component are used in expressions that are not supported.
+		getControlVarReferences( componentFunctionPath, this.vars.control.names, types ).forEach( ( referencePath ) => {
+			// When propagating, control vars passed as a prop are followed into the child component (see `./propagation`).
+			if ( config.propagate && isComponentProp( referencePath, types ) ) {
+				return;
+			}
+			diagnostics.report( referencePath, 'The control var is used in an unsupported expression, its condition will not be added to the template.', config );
+		} );
+		return componentFunctionPath;
 	}
-	return false;
 }
 
+/**
+ * Wrap the components rendered in lists with a provider of their context (in `react` context mode), eg
+ * `<TemplateVarsContext.Provider value={ [ ..._uid, 'color' ] }><Color /></TemplateVarsContext.Provider>`.
+ *
+ * The `key` of the component is moved to the provider, as it becomes the list item.
+ *
+ * @param {Object} functionPath The component function path.
+ * @param {Map} elementContexts The context expressions, keyed by element node.
+ * @param {Object} types The babel types object.
+ */
+function wrapContextProviders( functionPath, elementContexts, types ) {
+	if ( elementContexts.size === 0 ) {
+		return;
+	}
+	functionPath.traverse( {
+		JSXElement( subPath ) {
+			const contextExpression = elementContexts.get( subPath.node );
+			if ( ! contextExpression ) {
+				return;
+			}
+			elementContexts.delete( subPath.node );
+			const { attributes } = subPath.node.openingElement;
+			const providerAttributes = [ types.jsxAttribute( types.jsxIdentifier( 'value' ), types.jsxExpressionContainer( contextExpression ) ) ];
+			const keyIndex = attributes.findIndex( ( attribute ) => types.isJSXAttribute( attribute ) && attribute.name.name === 'key' );
+			if ( keyIndex !== -1 ) {
+				providerAttributes.push( ...attributes.splice( keyIndex, 1 ) );
+			}
+			const providerName = types.jsxMemberExpression( types.jsxIdentifier( 'TemplateVarsContext' ), types.jsxIdentifier( 'Provider' ) );
+			subPath.replaceWith( types.jsxElement(
+				types.jsxOpeningElement( providerName, providerAttributes ),
+				types.jsxClosingElement( types.cloneNode( providerName ) ),
+				[ subPath.node ]
+			) );
+		},
+	} );
+}
 
+/**
+ * Wrap the body of a class component `render()` method with a consumer of the context (in `react` context
+ * mode), as class components can't use hooks, eg:
+ * `render() { return <TemplateVarsContext.Consumer>{ ( _uid ) => { ... } }</TemplateVarsContext.Consumer>; }`
+ *
+ * @param {Object} methodPath The render method path.
+ * @param {Object} contextValueIdentifier The identifier of the context param.
+ * @param {Object} types The babel types object.
+ */
+function wrapContextConsumer( methodPath, contextValueIdentifier, types ) {
+	const consumerName = types.jsxMemberExpression( types.jsxIdentifier( 'TemplateVarsContext' ), types.jsxIdentifier( 'Consumer' ) );
+	// Unwrap the statements added as parsed files, so their declarations are scoped to the render function.
+	const { body } = methodPath.node;
+	body.body = body.body.flatMap( ( statement ) => types.isFile( statement ) ? statement.program.body : [ statement ] );
+	const renderFunction = types.arrowFunctionExpression( [ contextValueIdentifier ], methodPath.node.body );
+	const consumer = types.jsxElement(
+		types.jsxOpeningElement( consumerName, [] ),
+		types.jsxClosingElement( types.cloneNode( consumerName ) ),
+		[ types.jsxExpressionContainer( renderFunction ) ]
+	);
+	methodPath.get( 'body' ).replaceWith( types.blockStatement( [ types.returnStatement( consumer ) ] ) );
+}
+
+/**
+ * Get the names of the template vars that are not referenced in the component function.
+ *
+ * @param {Object} functionPath The component function path.
+ * @param {Array} varNames The template var names (including dot paths).
+ * @param {Object} types The babel types object.
+ * @returns {Array} The unused var names.
+ */
+function getUnusedVarNames( functionPath, varNames, types ) {
+	const usedNames = [];
+	functionPath.traverse( {
+		Identifier( subPath ) {
+			if ( subPath.isReferencedIdentifier() ) {
+				usedNames.push( subPath.node.name );
+			}
+		},
+		MemberExpression( subPath ) {
+			const memberPath = getMemberExpressionPath( subPath.node, types );
+			if ( memberPath ) {
+				usedNames.push( memberPath );
+			}
+		},
+	} );
+	return varNames.filter( ( varName ) => {
+		return ! usedNames.some( ( usedName ) => usedName === varName || usedName.startsWith( `${ varName }.` ) );
+	} );
+}
+
+/**
+ * Find list vars that are called with a method other than `.map()`, eg `items.filter( ... )`.
+ *
+ * @param {Object} functionPath The component function path.
+ * @param {Array} listNames The list var names.
+ * @param {Object} types The babel types object.
+ * @returns {Array} Pairs of the call path and the method name.
+ */
+function getUnsupportedListCalls( functionPath, listNames, types ) {
+	const calls = [];
+	functionPath.traverse( {
+		CallExpression( subPath ) {
+			const { callee } = subPath.node;
+			if ( ! types.isMemberExpression( callee ) || callee.computed || ! types.isIdentifier( callee.property ) ) {
+				return;
+			}
+			const objectPath = getMemberExpressionPath( callee.object, types );
+			if ( listNames.includes( objectPath ) && callee.property.name !== 'map' ) {
+				calls.push( [ subPath, callee.property.name ] );
+			}
+		},
+	} );
+	return calls;
+}
+
+/**
+ * Find the references to control vars that are left in the component function (not in nested functions),
+ * supported conditions have already been replaced with template tags.
+ *
+ * @param {Object} functionPath The component function path.
+ * @param {Array} controlNames The control var names.
+ * @param {Object} types The babel types object.
+ * @returns {Array} The reference paths.
+ */
+function getControlVarReferences( functionPath, controlNames, types ) {
+	const references = [];
+	const isInComponentFunction = ( subPath ) => subPath.getFunctionParent()?.node === functionPath.node;
+	functionPath.traverse( {
+		Identifier( subPath ) {
+			if ( subPath.isReferencedIdentifier() && controlNames.includes( subPath.node.name ) && isInComponentFunction( subPath ) ) {
+				references.push( subPath );
+			}
+		},
+		MemberExpression( subPath ) {
+			if ( controlNames.includes( getMemberExpressionPath( subPath.node, types ) ) && isInComponentFunction( subPath ) ) {
+				references.push( subPath );
+				subPath.skip();
+			}
+		},
+	} );
+	return references;
+}
+
+/**
+ * Whether the var is passed as a prop to a component, eg `<Badge on={ show } />`.
+ *
+ * @param {Object} referencePath The path of the var reference.
+ * @param {Object} types The babel types object.
+ * @returns {boolean}
+ */
+function isComponentProp( referencePath, types ) {
+	const attributePath = referencePath.parentPath?.parentPath;
+	if ( ! types.isJSXExpressionContainer( referencePath.parent ) || ! types.isJSXAttribute( attributePath?.node ) ) {
+		return false;
+	}
+	const { name } = attributePath.parent;
+	return types.isJSXMemberExpression( name ) || ( types.isJSXIdentifier( name ) && /^[A-Z]/.test( name.name ) );
+}
 
 module.exports = templateVarsController;
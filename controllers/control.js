@@ -1,28 +1,51 @@
 
 const {
 	getExpressionArgs,
+	getMemberExpressionPath,
+	getVarDataPath,
+	unwrapTSExpression,
 } = require( '../utils' );
-const { getLanguageListCallExpression } = require( './list' );
+const { getLanguageListCallExpression, getContextExpression } = require( './list' );
 class ControlController {
-	constructor( vars, contextName, babel ) {
+	constructor( vars, contextName, babel, propsName = null, listController = null ) {
 		this.vars = vars;
 		this.babel = babel;
 		this.contextName = contextName;
+		this.propsName = propsName;
+		// Used to find conditions on list metadata, eg `index === 0` or `items.length === 0`.
+		this.listController = listController;
 		this.updateTernaryConditions = this.updateTernaryConditions.bind( this );
 		this.updateTernaryExpressions = this.updateTernaryExpressions.bind( this );
+		this.updateLookupExpressions = this.updateLookupExpressions.bind( this );
 		this.getExpressionStatement = this.getExpressionStatement.bind( this );
+		this.getConditionStatement = this.getConditionStatement.bind( this );
+		this.getGroupStatement = this.getGroupStatement.bind( this );
+		this.hasControlVars = this.hasControlVars.bind( this );
+		this.getDataArgs = this.getDataArgs.bind( this );
 		this.updateJSXExpressions = this.updateJSXExpressions.bind( this );
+		this.updateIfStatements = this.updateIfStatements.bind( this );
+		this.transformIfStatements = this.transformIfStatements.bind( this );
+		this.isControlIfStatement = this.isControlIfStatement.bind( this );
+		this.getStatementsExpression = this.getStatementsExpression.bind( this );
 	}
 	updateTernaryConditions( path ) {
 		const { types } = this.babel;
 		// We want tp update the ternary control vars before replace vars (so we can use them at the same time);
 		// Use the identifier visitor to find any identifiers in ternary expressions.
-		if ( this.vars.names.includes( path.node.name ) ) {
+		// Dot path vars (eg `props.show`) are matched from the start of the member expression.
+		const varPath = getTemplateVarPath( path, this.vars.names, types ) ?? this.listController?.getMetadataPath( path );
+		if ( varPath ) {
 			const excludeTypes = [ 'ObjectProperty', 'ArrayPattern' ];
-			if ( path.parentPath.node && ! excludeTypes.includes( path.parentPath.node.type ) ) {
+			if ( varPath.parentPath.node && ! excludeTypes.includes( varPath.parentPath.node.type ) ) {
 
-				const parentNode = path.parentPath.node;
-				const parentParentNode = path.parentPath.parentPath.node;
+				// Move up to the outer most part of the condition the var is in, eg `a && b > 0`
+				// or `roles.includes( 'admin' )`, so we can find the ternary expression.
+				let conditionPath = varPath;
+				while ( conditionPath.parentPath && isConditionPart( conditionPath.parentPath.node, types ) ) {
+					conditionPath = conditionPath.parentPath;
+				}
+				const parentNode = conditionPath.parentPath.node;
+				const parentParentNode = conditionPath.parentPath.parentPath.node;
 
 				// Supports:
 				// const x = test === 'yes' ? 'a' : 'b';
@@ -36,10 +59,10 @@ class ControlController {
 				// We need to check if parenNode is a ternary expression.
 				if ( isTernaryExpression( parentNode, types ) ) {
 					ternaryExpression = parentNode;
-					ternaryExpressionPath = path.parentPath;
+					ternaryExpressionPath = conditionPath.parentPath;
 				} else if ( isTernaryExpression( parentParentNode, types ) ) {
 					ternaryExpression = parentParentNode;
-					ternaryExpressionPath = path.parentPath.parentPath;
+					ternaryExpressionPath = conditionPath.parentPath.parentPath;
 				}
 				if ( ternaryExpression && ternaryExpressionPath ) {
 					this.updateTernaryExpressions( ternaryExpression, ternaryExpressionPath );
@@ -54,93 +77,370 @@ class ControlController {
 			return;
 		}
 
-		const { statementType, args } = this.getExpressionStatement( expressionSource.test );
+		const { statementType, args } = this.getExpressionStatement( expressionSource.test, currentPath );
 		
 		if ( statementType && args.length > 0 ) {
 			// Build the opening and closing expression tags.
-			const { types } = this.babel;
 			const controlStartString = getLanguageControlCallExpression( [ statementType, 'open' ], args, this.contextName, types );
 			const controlStopString = getLanguageControlCallExpression( [ statementType, 'close' ], args, this.contextName, types );
-			const controlElseStartString = getLanguageControlCallExpression( [ 'else', 'open' ], args, this.contextName, types );
-			const controlElseStopString = getLanguageControlCallExpression( [ 'else', 'close' ], args, this.contextName, types );
 			
-			// create a new expression to add together 3 strings
+			// Build the parts of the chain:
 			// if = expressionSource.consequent
-			// else = expressionSource.alternate
-			// Create a binary expression with the + operator
+			// else if = the consequent of any chained ternaries, eg `a ? x : b ? y : z`
+			// else = the final alternate
 			const parts = [
 				controlStartString,
 				expressionSource.consequent,
-				controlStopString,
-				controlElseStartString,
-				expressionSource.alternate,
-				controlElseStopString,
 			];
-			const combinedBinaryExpression = createCombinedBinaryExpression( parts, '+', types );
-			currentPath.replaceWith( combinedBinaryExpression );
+			const branches = [ expressionSource.consequent ];
+			let alternate = expressionSource.alternate;
+			while ( types.isConditionalExpression( alternate ) ) {
+				const elseIfStatement = this.getExpressionStatement( alternate.test, currentPath );
+				if ( ! elseIfStatement.statementType || elseIfStatement.args.length === 0 ) {
+					break;
+				}
+				const elseIfArgs = [ { type: 'conditions', value: [ elseIfStatement ] } ];
+				parts.push( getLanguageControlCallExpression( [ 'elseIf', 'open' ], elseIfArgs, this.contextName, types ) );
+				parts.push( alternate.consequent );
+				branches.push( alternate.consequent );
+				alternate = alternate.alternate;
+			}
+			const controlElseStartString = getLanguageControlCallExpression( [ 'else', 'open' ], [], this.contextName, types );
+			parts.push( controlElseStartString, alternate, controlStopString );
+			branches.push( alternate );
+
+			// If any branch renders JSX, wrap the parts in a fragment, otherwise
+			// create a binary expression with the + operator.
+			if ( branches.some( ( branch ) => isJSXBranch( branch, types ) ) ) {
+				currentPath.replaceWith( createFragment( parts, types ) );
+			} else {
+				const combinedBinaryExpression = createCombinedBinaryExpression( parts, '+', types );
+				currentPath.replaceWith( combinedBinaryExpression );
+			}
+		}
+	}
+	/**
+	 * Convert lookup objects keyed by a control var into a chain of ternaries, eg:
+	 *
+	 * { compact: <Compact />, wide: <Wide /> }[ variant ] ?? <Full />
+	 *
+	 * becomes:
+	 *
+	 * variant === 'compact' ? <Compact /> : variant === 'wide' ? <Wide /> : <Full />
+	 *
+	 * Which is then processed as an if / else if / else chain. The object can also be
+	 * declared as a const in the component.
+	 *
+	 * @param {Object} path The identifier path.
+	 */
+	updateLookupExpressions( path ) {
+		const { types } = this.babel;
+		const varPath = getTemplateVarPath( path, this.vars.names, types );
+		if ( ! varPath ) {
+			return;
+		}
+		const lookupPath = varPath.parentPath;
+		if ( ! types.isMemberExpression( lookupPath.node ) || ! lookupPath.node.computed || lookupPath.node.property !== varPath.node ) {
+			return;
+		}
+
+		let objectNode = lookupPath.node.object;
+		if ( types.isIdentifier( objectNode ) ) {
+			const binding = lookupPath.scope.getBinding( objectNode.name );
+			if ( ! binding || ! binding.constant || ! types.isVariableDeclarator( binding.path.node ) ) {
+				return;
+			}
+			objectNode = binding.path.node.init;
+		}
+		if ( ! types.isObjectExpression( objectNode ) ) {
+			return;
+		}
+
+		// Get the key (as a literal) and value of each property.
+		const entries = [];
+		for ( const property of objectNode.properties ) {
+			if ( ! types.isObjectProperty( property ) ) {
+				return;
+			}
+			let keyNode;
+			if ( ! property.computed && types.isIdentifier( property.key ) ) {
+				keyNode = types.stringLiteral( property.key.name );
+			} else if ( types.isStringLiteral( property.key ) || types.isNumericLiteral( property.key ) ) {
+				keyNode = types.cloneNode( property.key );
+			} else {
+				return;
+			}
+			entries.push( [ keyNode, types.cloneNode( property.value ) ] );
+		}
+		if ( entries.length === 0 ) {
+			return;
 		}
+
+		// Support a fallback value, eg `lookup[ variant ] ?? <Default />`.
+		let replacePath = lookupPath;
+		let fallback;
+		const parentNode = lookupPath.parentPath.node;
+		if ( types.isLogicalExpression( parentNode ) && [ '??', '||' ].includes( parentNode.operator ) && parentNode.left === lookupPath.node ) {
+			fallback = parentNode.right;
+			replacePath = lookupPath.parentPath;
+		} else if ( entries.some( ( [ key, value ] ) => isJSXBranch( value, types ) ) ) {
+			fallback = types.nullLiteral();
+		} else {
+			fallback = types.stringLiteral( '' );
+		}
+
+		const conditionalExpression = entries.reduceRight( ( alternate, [ keyNode, value ] ) => {
+			const test = types.binaryExpression( '===', types.cloneNode( varPath.node ), keyNode );
+			return types.conditionalExpression( test, value, alternate );
+		}, fallback );
+
+		replacePath.replaceWith( conditionalExpression );
+		this.updateTernaryExpressions( replacePath.node, replacePath );
 	}
 
-	getExpressionStatement( sourceExpression ) {
+	/**
+	 * Convert if statements that return early based on control vars into a returned ternary, eg:
+	 *
+	 * if ( ! show ) return null;
+	 * if ( variant === 'compact' ) { return <Compact />; }
+	 * return <Full />;
+	 *
+	 * becomes:
+	 *
+	 * return ! show ? null : ( variant === 'compact' ? <Compact /> : <Full /> );
+	 *
+	 * The ternaries are then processed as usual so every branch is rendered, wrapped in control tags.
+	 * Any statements in a branch (or after the if statement) are moved into an IIFE.
+	 *
+	 * @param {Object} blockPath The block statement path of the component body.
+	 */
+	updateIfStatements( blockPath ) {
+		blockPath.node.body = this.transformIfStatements( blockPath.node.body );
+	}
 
+	transformIfStatements( statements ) {
 		const { types } = this.babel;
+		const ifIndex = statements.findIndex( ( statement ) => this.isControlIfStatement( statement ) );
+		if ( ifIndex === -1 ) {
+			return statements;
+		}
 
-		let statementType;
+		const ifStatement = statements[ ifIndex ];
+		const restStatements = statements.slice( ifIndex + 1 );
+		const consequent = this.getStatementsExpression( getBranchStatements( ifStatement.consequent, types ) );
+		let alternate;
+		if ( ! ifStatement.alternate ) {
+			alternate = this.getStatementsExpression( restStatements );
+		} else if ( alwaysReturns( ifStatement.alternate, types ) ) {
+			alternate = this.getStatementsExpression( getBranchStatements( ifStatement.alternate, types ) );
+		} else {
+			// If the else branch doesn't always return, the statements after the if statement follow it.
+			alternate = this.getStatementsExpression( [ ...getBranchStatements( ifStatement.alternate, types ), ...restStatements ] );
+		}
+		const conditionalExpression = types.conditionalExpression( ifStatement.test, consequent, alternate );
+		return [
+			...statements.slice( 0, ifIndex ),
+			types.returnStatement( conditionalExpression ),
+		];
+	}
 
-		const args = getExpressionArgs( sourceExpression, types );
-		
-		let conditionsMatched = 0;
-		let identifierCount = 0;
-		args.forEach( arg => {
-			if ( arg.type === 'identifier' ) {
-				identifierCount++;
-				if ( this.vars.names.includes( arg.value ) ) {
-					conditionsMatched++;
-				}
+	// Check if the statement is an if statement using control vars, which returns early.
+	isControlIfStatement( statement ) {
+		const { types } = this.babel;
+		if ( ! types.isIfStatement( statement ) ) {
+			return false;
+		}
+		if ( ! alwaysReturns( statement.consequent, types ) ) {
+			return false;
+		}
+		const { statementType, args } = this.getExpressionStatement( statement.test );
+		return !! statementType && args.length > 0;
+	}
+
+	// Get the expression that a list of statements returns, using an IIFE if there is more than a return statement.
+	getStatementsExpression( statements ) {
+		const { types } = this.babel;
+		const transformedStatements = this.transformIfStatements( statements );
+		if ( transformedStatements.length === 0 ) {
+			return types.nullLiteral();
+		}
+		if ( transformedStatements.length === 1 && types.isReturnStatement( transformedStatements[ 0 ] ) ) {
+			return transformedStatements[ 0 ].argument ?? types.nullLiteral();
+		}
+		const iife = types.arrowFunctionExpression( [], types.blockStatement( transformedStatements ) );
+		return types.callExpression( iife, [] );
+	}
+
+	getExpressionStatement( sourceExpression, path = null ) {
+		const { statementType, args } = this.getConditionStatement( sourceExpression, path );
+
+		// Return if the condition is not supported or there are no control vars in it.
+		if ( ! statementType || ! this.hasControlVars( args ) ) {
+			return { args, statementType: undefined };
+		}
+
+		return {
+			args: this.getDataArgs( args ),
+			statementType,
+		}
+	}
+
+	/**
+	 * Map a condition to a control statement type (eg `ifTruthy`, `ifGreater`, `ifAny`) and its args.
+	 *
+	 * Logical groups (`a || b`, `! ( a && b )`) are returned as a group statement type, with
+	 * a single `conditions` arg containing the statements of each part of the group.
+	 *
+	 * @param {Object} expression The condition expression.
+	 * @param {Object} path The path the condition is output at (for conditions on list metadata).
+	 * @returns {Object} The statement type (undefined if not supported) and args.
+	 */
+	getConditionStatement( sourceExpression, path = null ) {
+		const { types } = this.babel;
+		// Ignore TypeScript wrappers, eg `( show as boolean )` or `show!`.
+		const expression = unwrapTSExpression( sourceExpression );
+
+		// List metadata, eg `index === 0` or `items.length === 0`.
+		const listStatement = this.listController?.getListStatement( expression, path );
+		if ( listStatement ) {
+			return listStatement;
+		}
+
+		// Logical groups, eg `a && b` or `a || b`.
+		if ( types.isLogicalExpression( expression ) && groupStatementTypes[ expression.operator ] ) {
+			return this.getGroupStatement( groupStatementTypes[ expression.operator ], expression, path );
+		}
+
+		if ( types.isUnaryExpression( expression ) && expression.operator === '!' ) {
+			const argument = unwrapTSExpression( expression.argument );
+			// Negated groups, eg `! ( a || b )`.
+			if ( types.isLogicalExpression( argument ) && negatedGroupStatementTypes[ argument.operator ] ) {
+				return this.getGroupStatement( negatedGroupStatementTypes[ argument.operator ], argument, path );
 			}
-		} );
+			// Negated membership, eg `! roles.includes( 'admin' )`.
+			if ( isIncludesExpression( argument, types ) ) {
+				return { statementType: 'ifNotIn', args: getIncludesArgs( argument, types ) };
+			}
+			if ( types.isIdentifier( argument ) || types.isMemberExpression( argument ) ) {
+				return { statementType: 'ifFalsy', args: getExpressionArgs( argument, types ) };
+			}
+			return { statementType: undefined, args: getExpressionArgs( expression, types ) };
+		}
 
-		// Return if there are no identifiers or conditions matched.
-		if ( identifierCount === 0 || conditionsMatched === 0 ) {
-			return { args, statementType };
+		// Membership, eg `roles.includes( 'admin' )`.
+		if ( isIncludesExpression( expression, types ) ) {
+			return { statementType: 'ifIn', args: getIncludesArgs( expression, types ) };
 		}
 
+		const args = getExpressionArgs( expression, types );
+
 		// map these to handlebars helper functions and replace the expression with the helper tag.
-		if ( sourceExpression.type === 'Identifier' ) {
+		let statementType;
+		if ( types.isIdentifier( expression ) || types.isMemberExpression( expression ) ) {
 			statementType = 'ifTruthy';
-		} else if ( sourceExpression.type === 'UnaryExpression' ) {
-			if ( sourceExpression.operator === '!' ) {
-				statementType = 'ifFalsy';
-			}
-		} else if( sourceExpression.type === 'BinaryExpression' ) {
-			if ( sourceExpression.operator === '===' ) {
-				statementType = 'ifEqual';
-			} else if ( sourceExpression.operator === '!==' ) {
-				statementType = 'ifNotEqual';
+		} else if ( types.isBinaryExpression( expression ) && comparisonStatementTypes[ expression.operator ] ) {
+			// Only support comparing two values, eg `count > 0`.
+			if ( args.length === 2 ) {
+				statementType = comparisonStatementTypes[ expression.operator ];
 			}
 		}
+		return { statementType, args };
+	}
 
+	/**
+	 * Get a group statement, where each part of the logical expression (eg `a || b || c`) is a condition.
+	 *
+	 * Every part needs to be a condition on template vars (or list metadata) - a part that uses other values
+	 * (eg `isAdmin || mine`, where `mine` is a local) can't be evaluated in the template, so the group is left as it is.
+	 *
+	 * @param {String} statementType The group statement type.
+	 * @param {Object} expression The logical expression.
+	 * @param {Object} path The path the group is output at.
+	 * @returns {Object} The statement type (undefined if any part is not supported) and args.
+	 */
+	getGroupStatement( statementType, expression, path = null ) {
+		const { types } = this.babel;
+		const conditions = getLogicalExpressionParts( expression, expression.operator, types ).map( ( part ) => {
+			return this.getConditionStatement( part, path );
+		} );
+		if ( conditions.some( ( condition ) => ! condition.statementType || ! this.isControlVarCondition( condition.args ) ) ) {
+			return { statementType: undefined, args: [] };
+		}
 		return {
-			args,
 			statementType,
-		}
+			args: [ { type: 'conditions', value: conditions } ],
+		};
+	}
 
+	// Check if any of the args (including those in groups) are control vars (or lists).
+	hasControlVars( args ) {
+		return args.some( ( arg ) => {
+			if ( arg.type === 'conditions' ) {
+				return arg.value.some( ( condition ) => this.hasControlVars( condition.args ) );
+			}
+			if ( arg.type === 'list' ) {
+				return true;
+			}
+			return arg.type === 'identifier' && this.vars.names.includes( arg.value );
+		} );
 	}
 
-	updateJSXExpressions( expressionSource, currentPath, listVarsToTag ) {
+	// Check if a condition only uses control vars (or lists), and values - any other identifier is not template data.
+	isControlVarCondition( args ) {
+		return this.hasControlVars( args ) && args.every( ( arg ) => {
+			if ( arg.type === 'conditions' ) {
+				return arg.value.every( ( condition ) => this.isControlVarCondition( condition.args ) );
+			}
+			return arg.type !== 'identifier' || this.vars.names.includes( arg.value );
+		} );
+	}
+
+	// Template vars can be dot paths relative to the props (eg `props.show`), so map them to the data path.
+	getDataArgs( args ) {
+		return args.map( ( arg ) => {
+			if ( arg.type === 'conditions' ) {
+				const conditions = arg.value.map( ( condition ) => {
+					return { ...condition, args: this.getDataArgs( condition.args ) };
+				} );
+				return { ...arg, value: conditions };
+			}
+			if ( arg.type === 'identifier' ) {
+				const templateVar = this.vars.raw.find( ( [ varName ] ) => varName === arg.value );
+				return { ...arg, value: getVarDataPath( arg.value, this.propsName, templateVar?.[ 1 ] ) };
+			}
+			return arg;
+		} );
+	}
+
+	updateJSXExpressions( expressionSource, currentPath, listVarsToTag, getListOptions = () => ( {} ) ) {
 
 		if ( ! isControlExpression( expressionSource ) ) {
 			return;
 		}
 
-		const { statementType, args } = this.getExpressionStatement( expressionSource.left );
+		const { types } = this.babel;
 
-		if ( statementType && args.length > 0 ) {
-			const { types } = this.babel;
-			const controlStartString = getLanguageControlCallExpression( [ statementType, 'open' ], args, this.contextName, types );
-			const controlStopString = getLanguageControlCallExpression( [ statementType, 'close' ], args, this.contextName, types );
-			currentPath.insertBefore( controlStartString );
-			currentPath.insertAfter( controlStopString );
+		// Split `a && b && <X />` into its conditions so each can be nested, conditions without
+		// control vars are left as they are (in JS).
+		const statements = [];
+		const jsConditions = [];
+		getLogicalExpressionParts( expressionSource.left, '&&', types ).forEach( ( condition ) => {
+			const { statementType, args } = this.getExpressionStatement( condition, currentPath );
+			if ( statementType && args.length > 0 ) {
+				statements.push( { statementType, args } );
+			} else {
+				jsConditions.push( condition );
+			}
+		} );
+
+		if ( statements.length > 0 ) {
+			// Nest the control tags in order, eg: open a, open b, ..., close b, close a.
+			statements.forEach( ( { statementType, args } ) => {
+				const controlStartString = getLanguageControlCallExpression( [ statementType, 'open' ], args, this.contextName, types );
+				const controlStopString = getLanguageControlCallExpression( [ statementType, 'close' ], args, this.contextName, types );
+				currentPath.insertBefore( controlStartString );
+				currentPath.insertAfter( controlStopString );
+			} );
 
 			// Now check to see if the right of the expression is a list variable, as we need to wrap them
 			// in helper tags.
@@ -148,8 +448,9 @@ class ControlController {
 				const objectName = expressionSource.right.name;
 				if ( listVarsToTag[ objectName ] ) {
 					const listVarSourceName = listVarsToTag[ objectName ];
-					const listOpen = getLanguageListCallExpression( 'open', listVarSourceName, this.contextName, types );
-					const listClose = getLanguageListCallExpression( 'close', listVarSourceName, this.contextName, types );
+					const listDataPath = this.listController?.getListDataPath( listVarSourceName ) ?? listVarSourceName;
+					const listOpen = getLanguageListCallExpression( 'open', listDataPath, this.contextName, types, [], getListOptions( listVarSourceName ) );
+					const listClose = getLanguageListCallExpression( 'close', listDataPath, this.contextName, types );
 			
 					currentPath.insertBefore( listOpen );
 					currentPath.insertAfter( listClose );
@@ -157,13 +458,177 @@ class ControlController {
 			}
 			
 			// Now replace the whole expression with the right part (remove any conditions to display it)
-			currentPath.replaceWith( expressionSource.right );
+			// keeping any conditions that don't use control vars.
+			if ( jsConditions.length > 0 ) {
+				const jsCondition = createCombinedLogicalExpression( jsConditions, '&&', types );
+				currentPath.replaceWith( types.jsxExpressionContainer( types.logicalExpression( '&&', jsCondition, expressionSource.right ) ) );
+			} else {
+				currentPath.replaceWith( expressionSource.right );
+			}
 		}
 	}
 	
 };
 
+// Map binary comparison operators to control statement types.
+const comparisonStatementTypes = {
+	'===': 'ifEqual',
+	'!==': 'ifNotEqual',
+	'>': 'ifGreater',
+	'>=': 'ifGreaterEqual',
+	'<': 'ifLess',
+	'<=': 'ifLessEqual',
+};
+
+// Map logical operators to group statement types.
+const groupStatementTypes = {
+	'&&': 'ifAll',
+	'||': 'ifAny',
+};
+const negatedGroupStatementTypes = {
+	'&&': 'ifNotAll',
+	'||': 'ifNotAny',
+};
+
+/**
+ * Gets the path of the template var that an identifier is part of - either the identifier
+ * itself, or a member expression when the var is a dot path (eg `props.show` or `this.props.show`).
+ *
+ * @param {Object} path The identifier path.
+ * @param {Array} names The template var names.
+ * @param {Object} types The babel types object.
+ * @returns {Object|null} The matching path, or null if there is no match.
+ */
+function getTemplateVarPath( path, names, types ) {
+	if ( names.includes( path.node.name ) ) {
+		return path;
+	}
+	const parentNode = path.parentPath.node;
+	// Only start from the first identifier in the member expression.
+	const isObject = types.isMemberExpression( parentNode ) && parentNode.object === path.node;
+	const isThisProperty = types.isMemberExpression( parentNode ) && parentNode.property === path.node && types.isThisExpression( parentNode.object );
+	if ( ! isObject && ! isThisProperty ) {
+		return null;
+	}
+	let currentPath = path.parentPath;
+	while ( types.isMemberExpression( currentPath.node ) ) {
+		if ( names.includes( getMemberExpressionPath( currentPath.node, types ) ) ) {
+			return currentPath;
+		}
+		if ( currentPath.parentPath.node.object !== currentPath.node ) {
+			break;
+		}
+		currentPath = currentPath.parentPath;
+	}
+	return null;
+}
+
+/**
+ * Flatten a chain of logical expressions with the same operator into its parts,
+ * eg `a && b && c` becomes `[ a, b, c ]`.
+ *
+ * @param {Object} expression The expression.
+ * @param {String} operator The logical operator.
+ * @param {Object} types The babel types object.
+ * @returns {Array} The parts of the expression.
+ */
+function getLogicalExpressionParts( expression, operator, types ) {
+	if ( types.isLogicalExpression( expression ) && expression.operator === operator ) {
+		return [
+			...getLogicalExpressionParts( expression.left, operator, types ),
+			...getLogicalExpressionParts( expression.right, operator, types ),
+		];
+	}
+	return [ expression ];
+}
+
+/**
+ * Check if an expression is an `.includes()` call with a single arg, eg `roles.includes( 'admin' )`.
+ *
+ * @param {Object} expression The expression.
+ * @param {Object} types The babel types object.
+ * @returns {Boolean}
+ */
+function isIncludesExpression( expression, types ) {
+	if ( ! types.isCallExpression( expression ) || ! types.isMemberExpression( expression.callee ) ) {
+		return false;
+	}
+	const { property, computed } = expression.callee;
+	return ! computed && types.isIdentifier( property, { name: 'includes' } ) && expression.arguments.length === 1;
+}
 
+/**
+ * Get the args of an `.includes()` call - the value first, then the list.
+ *
+ * @param {Object} expression The call expression.
+ * @param {Object} types The babel types object.
+ * @returns {Array} The args.
+ */
+function getIncludesArgs( expression, types ) {
+	return [
+		...getExpressionArgs( expression.arguments[ 0 ], types ),
+		...getExpressionArgs( expression.callee.object, types ),
+	];
+}
+
+// Check if the node can be part of a (supported) condition.
+function isConditionPart( node, types ) {
+	if ( types.isLogicalExpression( node ) || types.isUnaryExpression( node ) || types.isMemberExpression( node ) ) {
+		return true;
+	}
+	// TypeScript wrappers, eg `( count as number ) > 0`.
+	if ( unwrapTSExpression( node ) !== node ) {
+		return true;
+	}
+	if ( types.isBinaryExpression( node ) && comparisonStatementTypes[ node.operator ] ) {
+		return true;
+	}
+	return isIncludesExpression( node, types );
+}
+
+// Get the statements of an if statement branch.
+function getBranchStatements( statement, types ) {
+	if ( types.isBlockStatement( statement ) ) {
+		return statement.body;
+	}
+	return [ statement ];
+}
+
+// Check if a statement always returns (including all branches of if statements).
+function alwaysReturns( statement, types ) {
+	if ( types.isReturnStatement( statement ) ) {
+		return true;
+	}
+	if ( types.isBlockStatement( statement ) ) {
+		const lastStatement = statement.body[ statement.body.length - 1 ];
+		return !! lastStatement && alwaysReturns( lastStatement, types );
+	}
+	if ( types.isIfStatement( statement ) ) {
+		return !! statement.alternate && alwaysReturns( statement.consequent, types ) && alwaysReturns( statement.alternate, types );
+	}
+	return false;
+}
+
+// Check if a ternary branch renders JSX (or nothing), rather than a string.
+function isJSXBranch( node, types ) {
+	if ( types.isJSXElement( node ) || types.isJSXFragment( node ) || types.isNullLiteral( node ) ) {
+		return true;
+	}
+	// IIFEs (eg created from if statements) return JSX.
+	if ( types.isCallExpression( node ) && types.isArrowFunctionExpression( node.callee ) ) {
+		return true;
+	}
+	if ( types.isConditionalExpression( node ) ) {
+		return isJSXBranch( node.consequent, types ) || isJSXBranch( node.alternate, types );
+	}
+	return false;
+}
+
+// Wrap the parts in a JSX fragment.
+function createFragment( parts, types ) {
+	const children = parts.map( ( part ) => types.jsxExpressionContainer( part ) );
+	return types.jsxFragment( types.jsxOpeningFragment(), types.jsxClosingFragment(), children );
+}
 
 function isTernaryExpression( node, types ) {
 	if ( types.isConditionalExpression( node ) ) {
@@ -183,23 +648,67 @@ function createCombinedBinaryExpression( parts, operator, types ) {
 	return expression;
 }
 
+function createCombinedLogicalExpression( parts, operator, types ) {
+	let expression = parts[ 0 ];
+	for ( let i = 1; i < parts.length; i++ ) {
+		expression = types.logicalExpression( operator, expression, parts[ i ] );
+	}
+	return expression;
+}
+
 
 function getLanguageControlCallExpression( targets, args, context, types ) {
 	const targetsNodes = targets.map( target => types.stringLiteral( target ) );
+	return types.callExpression( types.identifier( 'getLanguageControl' ), [ types.arrayExpression( targetsNodes ), getControlArgsNode( args, types, context ), types.identifier( context ) ] );
+}
 
-	// using types, create a new object with the properties "type" and "value":
-	const argsNodes = [];
-	args.map( ( arg ) => {
-		const objectWithProps = types.objectExpression( [
+/**
+ * Build the args array node, using types, create a new object with the properties "type" and "value".
+ *
+ * The value of `conditions` args (for groups) is an array of the statements in the group.
+ *
+ * `list` args (for list metadata conditions) also have the loop name of the list, and the context
+ * of the list if it's nested.
+ *
+ * @param {Array} args The args.
+ * @param {Object} types The babel types object.
+ * @param {String} context The context var name.
+ * @returns {Object} The array expression node.
+ */
+function getControlArgsNode( args, types, context ) {
+	const argsNodes = args.map( ( arg ) => {
+		if ( arg.type === 'conditions' ) {
+			const conditionsNodes = arg.value.map( ( condition ) => types.objectExpression( [
+				types.objectProperty( types.identifier( 'statementType' ), types.stringLiteral( condition.statementType ) ),
+				types.objectProperty( types.identifier( 'args' ), getControlArgsNode( condition.args, types, context ) ),
+			] ) );
+			return types.objectExpression( [
+				types.objectProperty( types.identifier('type'), types.stringLiteral( arg.type ) ),
+				types.objectProperty( types.identifier('value'), types.arrayExpression( conditionsNodes ) ),
+			] );
+		}
+		if ( arg.type === 'list' ) {
+			const listNode = types.objectExpression( [
+				types.objectProperty( types.identifier('type'), types.stringLiteral( arg.type ) ),
+				types.objectProperty( types.identifier('value'), types.stringLiteral( arg.value ) ),
+			] );
+			if ( arg.as ) {
+				listNode.properties.push( types.objectProperty( types.identifier( 'as' ), types.stringLiteral( arg.as ) ) );
+			}
+			if ( arg.loopNames.length > 0 ) {
+				listNode.properties.push( types.objectProperty( types.identifier( 'context' ), getContextExpression( context, types, arg.loopNames ) ) );
+			}
+			if ( arg.parents > 0 ) {
+				listNode.properties.push( types.objectProperty( types.identifier( 'parents' ), types.numericLiteral( arg.parents ) ) );
+			}
+			return listNode;
+		}
+		return types.objectExpression( [
 			types.objectProperty( types.identifier('type'), types.stringLiteral( arg.type ) ),
 			types.objectProperty( types.identifier('value'), types.stringLiteral( arg.value ) ),
 		] );
-		argsNodes.push( objectWithProps );
-
 	} );
-		
-	// const argsNodes = args.map( arg => types.stringLiteral( arg ) );
-	return types.callExpression( types.identifier( 'getLanguageControl' ), [ types.arrayExpression( targetsNodes ), types.arrayExpression( argsNodes ), types.identifier( context ) ] );
+	return types.arrayExpression( argsNodes );
 }
 
 /**
@@ -212,6 +721,10 @@ function isControlExpression( expression ) {
 	if ( ! expression.left || ! expression.right ) {
 		return false;
 	}
+	// Only `condition && <X />` shows content based on the condition.
+	if ( expression.type === 'LogicalExpression' && expression.operator !== '&&' ) {
+		return false;
+	}
 	const controlExpressionTypes = [
 		'Identifier',
 		'MemberExpression',
@@ -1,15 +1,35 @@
 
 
+const { unwrapTSExpression } = require( '../utils' );
+
 class ListController {
 	constructor( vars, contextName, babel ) {
 		this.vars = vars;
 		this.contextName = contextName;
 		this.babel = babel;
+		// Expressions can be visited more than once (eg when moved into a ternary fragment), so only tag them once.
+		this.taggedExpressions = new WeakSet();
 		this.initVars = this.initVars.bind( this );
 		this.buildDeclaration = this.buildDeclaration.bind( this );
+		this.buildListExpression = this.buildListExpression.bind( this );
+		this.trackListItems = this.trackListItems.bind( this );
+		this.getNestedList = this.getNestedList.bind( this );
 		this.normaliseListVar = this.normaliseListVar.bind( this );
 		this.updateIdentifierNames = this.updateIdentifierNames.bind( this );
 		this.updateJSXListExpressions = this.updateJSXListExpressions.bind( this );
+		this.getVarConfig = this.getVarConfig.bind( this );
+		this.getListDataPath = this.getListDataPath.bind( this );
+		this.getListOptions = this.getListOptions.bind( this );
+		this.getLoopNames = this.getLoopNames.bind( this );
+		this.getListReference = this.getListReference.bind( this );
+		this.getSourceVarName = this.getSourceVarName.bind( this );
+		this.getListLength = this.getListLength.bind( this );
+		this.getListIndex = this.getListIndex.bind( this );
+		this.isLastIndex = this.isLastIndex.bind( this );
+		this.getListStatement = this.getListStatement.bind( this );
+		this.getMetadataPath = this.getMetadataPath.bind( this );
+		this.getMetadataListName = this.getMetadataListName.bind( this );
+		this.updateJSXMetadataExpressions = this.updateJSXMetadataExpressions.bind( this );
 	}
 	initVars( path ) {
 		// Add the new list vars to to top of the block statement.
@@ -34,34 +54,58 @@ class ListController {
 	}
 	// Build the object for the replacement var in list type vars.
 	buildDeclaration( varName, varConfig ) {
-		const { parse, types } = this.babel;
+		const { types } = this.babel;
+		const listExpression = this.buildListExpression( varConfig, [] );
+		if ( ! listExpression ) {
+			return null;
+		}
+		const left = types.identifier( varName );
+		return types.variableDeclaration('let', [
+			types.variableDeclarator( left, listExpression ),
+		]);
+	}
+	/**
+	 * Build the template version of a list - an array with a single item.
+	 *
+	 * Object props can be lists themselves, so this is called recursively for nested lists, with the
+	 * loop names of the parent lists being added to the context (so we can target the correct loop variable).
+	 *
+	 * @param {Object} varConfig The list var config.
+	 * @param {Array} loopNames The loop names of the parent lists (empty for the top level list).
+	 * @returns {Object|null} The array expression.
+	 */
+	buildListExpression( varConfig, loopNames ) {
+		const { types } = this.babel;
 		const normalisedConfig = this.normaliseListVar( varConfig );
 		const { type, props } = normalisedConfig.child;
+		const listOptions = { as: normalisedConfig.as };
 		const self = this;
-		const newProp = [];
 		if ( type === 'object' ) {
-			const childProp = {};
 			const propsArr = [];
-			props.forEach( ( propName ) => {
-				const listObject = getLanguageListCallExpression( 'objectProperty', propName, self.contextName, types );
-				propsArr.push( types.objectProperty( types.identifier( propName ), listObject ) );
+			( props ?? [] ).forEach( ( prop ) => {
+				const [ propName, propConfig ] = normaliseChildProp( prop );
+				let propValue;
+				if ( propConfig.type === 'list' ) {
+					// Nested lists are processed in the context of the items of this list.
+					propValue = self.buildListExpression( propConfig, [ ...loopNames, normalisedConfig.as ?? null ] );
+				} else {
+					propValue = getLanguageListCallExpression( 'objectProperty', propName, self.contextName, types, loopNames, listOptions );
+				}
+				if ( propValue ) {
+					propsArr.push( types.objectProperty( types.identifier( propName ), propValue ) );
+				}
 			} );
-			newProp.push( childProp );
-			const templateObject = types.objectExpression( propsArr )
-			const right = types.arrayExpression( [ templateObject ] );
-			
-			const left = types.identifier( varName );
-			return types.variableDeclaration('let', [
-				types.variableDeclarator(left, right),
-			]);
+			const templateObject = types.objectExpression( propsArr );
+			return types.arrayExpression( [ templateObject ] );
 		} else if ( type === 'primitive' ) {
 			// Then we're dealing with a normal array.
 			// TODO: maybe "primitive" is not the best name for this type.
-			const listPrimitiveString = `let ${ varName } = [ getLanguageList( 'primitive', null, ${ this.contextName } ) ];`;
-			return parse( listPrimitiveString );
+			const primitiveArg = normalisedConfig.as ? types.valueToNode( listOptions ) : types.nullLiteral();
+			const listPrimitive = types.callExpression( types.identifier( 'getLanguageList' ), [ types.stringLiteral( 'primitive' ), primitiveArg, getContextExpression( self.contextName, types, loopNames ) ] );
+			return types.arrayExpression( [ listPrimitive ] );
 		}
 		return null;
-	}	
+	}
 	normaliseListVar( varConfig ) {
 		let normalisedConfig = { 
 			type: 'list',
@@ -76,6 +120,74 @@ class ListController {
 		
 		return normalisedConfig;
 	};
+	/**
+	 * Track the item param of a `.map()` callback on a list, so we can find nested lists used on the item.
+	 *
+	 * Supports both `item => item.children.map(...)` and destructured `( { children } ) => children.map(...)`.
+	 *
+	 * The index param is also tracked, so it can be output and used in first / last conditions.
+	 *
+	 * @param {Object} mapCallExpression The `.map()` call expression node.
+	 * @param {String} name The name of the list being mapped.
+	 * @param {Object} varConfig The config of the list being mapped.
+	 * @param {Array} loopNames The loop names of the parent lists (empty for a top level list).
+	 */
+	trackListItems( mapCallExpression, name, varConfig, loopNames ) {
+		const { types } = this.babel;
+		const callback = mapCallExpression.arguments[0];
+		if ( ! callback || ! types.isFunction( callback ) || ! callback.params[0] ) {
+			return;
+		}
+		const indexParam = callback.params[1];
+		if ( indexParam && types.isIdentifier( indexParam ) ) {
+			this.vars.indexes[ indexParam.name ] = { name, config: varConfig, loopNames };
+		}
+		const { child } = this.normaliseListVar( varConfig );
+		if ( child.type !== 'object' ) {
+			return;
+		}
+		const itemParam = callback.params[0];
+		// The items of the list are in the context of its loop.
+		const itemLoopNames = [ ...loopNames, varConfig.as ?? null ];
+		if ( types.isIdentifier( itemParam ) ) {
+			this.vars.items[ itemParam.name ] = { config: varConfig, loopNames: itemLoopNames };
+		} else if ( types.isObjectPattern( itemParam ) ) {
+			itemParam.properties.forEach( ( property ) => {
+				if ( ! types.isObjectProperty( property ) || ! types.isIdentifier( property.key ) || ! types.isIdentifier( property.value ) ) {
+					return;
+				}
+				const childListConfig = getChildListConfig( varConfig, property.key.name );
+				if ( childListConfig ) {
+					this.vars.nested[ property.value.name ] = { name: property.key.name, config: childListConfig, loopNames: itemLoopNames };
+				}
+			} );
+		}
+	}
+	/**
+	 * Get the nested list (name, config and loop names of its parent lists) from an expression, if it is one.
+	 *
+	 * Either a destructured item prop `children` or a member expression on an item `item.children`.
+	 *
+	 * @param {Object} expression The expression.
+	 * @returns {Object|null} The nested list or null.
+	 */
+	getNestedList( expression ) {
+		const { types } = this.babel;
+		if ( types.isIdentifier( expression ) ) {
+			return this.vars.nested[ expression.name ] ?? null;
+		}
+		if ( types.isMemberExpression( expression ) && types.isIdentifier( expression.object ) && types.isIdentifier( expression.property ) && ! expression.computed ) {
+			const item = this.vars.items[ expression.object.name ];
+			if ( ! item ) {
+				return null;
+			}
+			const childListConfig = getChildListConfig( item.config, expression.property.name );
+			if ( childListConfig ) {
+				return { name: expression.property.name, config: childListConfig, loopNames: item.loopNames };
+			}
+		}
+		return null;
+	}
 	updateIdentifierNames( path ) {
 		const { types } = this.babel;
 		// We also need to replace any lists / arrays with our own templatevars version.
@@ -85,7 +197,9 @@ class ListController {
 			// they are not variable declarations.
 			const excludeTypes = [ 'ObjectProperty', 'VariableDeclarator', 'ArrayPattern' ];
 
-			if ( path.parentPath.node && ! excludeTypes.includes( path.parentPath.node.type ) ) {
+			// Function params declare the original vars, so leave them as they are.
+			const isParam = path.listKey === 'params';
+			if ( path.parentPath.node && ! excludeTypes.includes( path.parentPath.node.type ) && ! isParam ) {
 				// We want to only allow one case of a member expression when we find a `const x = y.map(...);`
 				if ( types.isMemberExpression( path.parentPath.node ) ) {
 					// then we want to make sure its a `.map` otherwise we don't want to support it for now.
@@ -93,6 +207,10 @@ class ListController {
 						// Inject list context to components inside the map
 						if ( this.vars.mapped[ path.node.name ] ) {
 							path.node.name = this.vars.mapped[ path.node.name ];
+							// Track the map callback items so we can find any nested lists.
+							if ( types.isCallExpression( path.parentPath.parentPath.node ) ) {
+								this.trackListItems( path.parentPath.parentPath.node, sourceVarName, this.getVarConfig( sourceVarName ), [] );
+							}
 							// If we found a map, we want to track which identifier it was assigned to...
 							if ( types.isCallExpression( path.parentPath.parentPath.node ) && types.isVariableDeclarator( path.parentPath.parentPath.parentPath.node ) ) {
 								// Check if its an identifier and if so, add it to the listVars to tag.
@@ -114,12 +232,18 @@ class ListController {
 	}
 	updateJSXListExpressions( expressionSource, path ) {
 		const { types } = this.babel;
+		if ( this.updateJSXMetadataExpressions( expressionSource, path ) || this.taggedExpressions.has( expressionSource ) ) {
+			return;
+		}
+		this.taggedExpressions.add( expressionSource );
 		// Now look for identifers only, so we can look for list vars that need tagging.
 		if ( types.isIdentifier( expressionSource ) ) {
 			// Then we should be looking at something like: `{ myVar }`
-			if ( this.vars.toTag[ expressionSource.name ] ) {
-				const listOpen = getLanguageListCallExpression( 'open', this.vars.toTag[ expressionSource.name ], this.contextName, types );
-				const listClose = getLanguageListCallExpression( 'close', this.vars.toTag[ expressionSource.name ], this.contextName, types );
+			// A list passed as a prop (`<List items={ myVar } />`) isn't output here, so it's not tagged.
+			if ( this.vars.toTag[ expressionSource.name ] && ! types.isJSXAttribute( path.parent ) ) {
+				const listVarSourceName = this.vars.toTag[ expressionSource.name ];
+				const listOpen = getLanguageListCallExpression( 'open', this.getListDataPath( listVarSourceName ), this.contextName, types, [], this.getListOptions( listVarSourceName ) );
+				const listClose = getLanguageListCallExpression( 'close', this.getListDataPath( listVarSourceName ), this.contextName, types );
 				path.insertBefore( listOpen );
 				path.insertAfter( listClose );
 			}
@@ -130,30 +254,334 @@ class ListController {
 			const memberExpression = expressionSource.callee;
 			if ( types.isIdentifier( memberExpression.property ) && memberExpression.property.name === 'map' ) {
 				// Add the before / after tags to the list.
-				const objectName = memberExpression.object.name;
+				// The list var may have been renamed already, eg in the branch of a ternary.
+				const objectName = this.getSourceVarName( memberExpression.object.name );
 
 				if ( this.vars.toTag[ objectName ] ) {
 					// Inject list context to components inside the map
 					// injectContextToJSXElementComponents( subPath, contextIdentifier.name, types );
 				
 					const listVarSourceName = this.vars.toTag[ objectName ];
-					const listOpen = getLanguageListCallExpression( 'open', listVarSourceName, this.contextName, types );
-					const listClose = getLanguageListCallExpression( 'close', listVarSourceName, this.contextName, types );
+					const listOpen = getLanguageListCallExpression( 'open', this.getListDataPath( listVarSourceName ), this.contextName, types, [], this.getListOptions( listVarSourceName ) );
+					const listClose = getLanguageListCallExpression( 'close', this.getListDataPath( listVarSourceName ), this.contextName, types );
+					path.insertBefore( listOpen );
+					path.insertAfter( listClose );
+
+					// Track the map callback items so we can find any nested lists.
+					this.trackListItems( expressionSource, listVarSourceName, this.getVarConfig( listVarSourceName ), [] );
+					return;
+				}
+
+				// Now check for nested lists, eg `item.children.map(...)` or a destructured `children.map(...)`.
+				const nestedList = this.getNestedList( memberExpression.object );
+				if ( nestedList ) {
+					const { name, config, loopNames } = nestedList;
+					const listOpen = getLanguageListCallExpression( 'open', name, this.contextName, types, loopNames, { as: config.as } );
+					const listClose = getLanguageListCallExpression( 'close', name, this.contextName, types, loopNames );
 					path.insertBefore( listOpen );
 					path.insertAfter( listClose );
+
+					this.trackListItems( expressionSource, name, config, loopNames );
+				}
+			}
+		}
+	}
+	getVarConfig( varName ) {
+		const templateVar = this.vars.raw.find( ( [ rawVarName ] ) => rawVarName === varName );
+		return templateVar ? templateVar[ 1 ] : {};
+	}
+	// The path of a top level list in the data, lists followed from a parent component read the parent list (see `../propagation`).
+	getListDataPath( varName ) {
+		return this.getVarConfig( varName ).from ?? varName;
+	}
+	// The options passed to the language when opening a top level list.
+	getListOptions( varName ) {
+		const varConfig = this.getVarConfig( varName );
+		return { default: varConfig.default, as: varConfig.as };
+	}
+	/**
+	 * Get the loop names of the lists mapped by the `.map()` calls a path is inside of (outermost first),
+	 * so components rendered in the loops can be passed the correct context.
+	 *
+	 * Loops of lists without an `as` name (or maps of unknown arrays) are `null`, to use the default name.
+	 *
+	 * @param {Object} path The path.
+	 * @returns {Array} The loop names.
+	 */
+	getLoopNames( path ) {
+		const { types } = this.babel;
+		const loopNames = [];
+		let parentPath = path.parentPath;
+		while ( parentPath ) {
+			const { node } = parentPath;
+			if ( types.isCallExpression( node ) && types.isMemberExpression( node.callee ) && types.isIdentifier( node.callee.property ) && node.callee.property.name === 'map' ) {
+				const list = this.getListReference( node.callee.object );
+				loopNames.unshift( list?.config.as ?? null );
+			}
+			parentPath = parentPath.parentPath;
+		}
+		return loopNames;
+	}
+	/**
+	 * Get the list (name, config and loop names of its parent lists) an expression refers to - a list var,
+	 * an alias or a nested list.
+	 *
+	 * @param {Object} expression The expression.
+	 * @returns {Object|null} The list or null.
+	 */
+	getListReference( expression ) {
+		const { types } = this.babel;
+		if ( types.isIdentifier( expression ) ) {
+			// List vars are renamed before their map callbacks are visited.
+			const sourceVarName = this.getSourceVarName( expression.name );
+			const varName = this.vars.names.includes( sourceVarName ) ? sourceVarName : this.vars.toTag[ sourceVarName ];
+			if ( varName ) {
+				return { name: varName, config: this.getVarConfig( varName ), loopNames: [] };
+			}
+		}
+		return this.getNestedList( expression );
+	}
+	// Get the source name of a list var that has been renamed (or the name as it is).
+	getSourceVarName( name ) {
+		const mappedVarName = Object.keys( this.vars.mapped ).find( ( varName ) => this.vars.mapped[ varName ] === name );
+		return mappedVarName ?? name;
+	}
+	// Get the list of a length expression, eg `items.length`.
+	getListLength( expression ) {
+		const { types } = this.babel;
+		if ( ! types.isMemberExpression( expression ) || expression.computed || ! types.isIdentifier( expression.property, { name: 'length' } ) ) {
+			return null;
+		}
+		return this.getListReference( unwrapTSExpression( expression.object ) );
+	}
+	// Get the list of an index param of a map callback, eg `index` in `items.map( ( item, index ) => ... )`.
+	getListIndex( expression ) {
+		const { types } = this.babel;
+		if ( ! types.isIdentifier( expression ) ) {
+			return null;
+		}
+		return this.vars.indexes[ expression.name ] ?? null;
+	}
+	// Check if an expression is the last index of a list, eg `items.length - 1`.
+	isLastIndex( expression, list ) {
+		const { types } = this.babel;
+		if ( ! types.isBinaryExpression( expression, { operator: '-' } ) || ! isNumericValue( expression.right, 1, types ) ) {
+			return false;
+		}
+		return this.getListLength( expression.left )?.name === list.name;
+	}
+	/**
+	 * Map a condition using list metadata to a list statement type and its args, eg:
+	 *
+	 * - `index === 0`, `! index` - `ifFirst` (`index !== 0`, `index > 0` and `index` - `ifNotFirst`)
+	 * - `index === items.length - 1` - `ifLast` (`index !== items.length - 1` and `index < items.length - 1` - `ifNotLast`)
+	 * - `items.length === 0`, `! items.length` - `ifEmpty` (`items.length > 0`, `items.length !== 0` and `items.length` - `ifNotEmpty`)
+	 *
+	 * The statements are rendered with the `list` language strings (see `getLanguageControl`).
+	 *
+	 * @param {Object} sourceExpression The condition expression.
+	 * @param {Object} path The path the condition is output at (to find the loops it's inside of).
+	 * @returns {Object|null} The statement type and args, or null if it's not a list condition.
+	 */
+	getListStatement( sourceExpression, path = null ) {
+		const { types } = this.babel;
+		const expression = unwrapTSExpression( sourceExpression );
+		let list = null;
+		let statementType;
+		if ( types.isUnaryExpression( expression ) && expression.operator === '!' ) {
+			const argument = unwrapTSExpression( expression.argument );
+			list = this.getListIndex( argument );
+			statementType = 'ifFirst';
+			if ( ! list ) {
+				list = this.getListLength( argument );
+				statementType = 'ifEmpty';
+			}
+		} else if ( types.isIdentifier( expression ) ) {
+			list = this.getListIndex( expression );
+			statementType = 'ifNotFirst';
+		} else if ( types.isMemberExpression( expression ) ) {
+			list = this.getListLength( expression );
+			statementType = 'ifNotEmpty';
+		} else if ( types.isBinaryExpression( expression ) ) {
+			const left = unwrapTSExpression( expression.left );
+			const right = unwrapTSExpression( expression.right );
+			list = this.getListIndex( left );
+			if ( list ) {
+				if ( isNumericValue( right, 0, types ) ) {
+					statementType = firstStatementTypes[ expression.operator ];
+				} else if ( this.isLastIndex( right, list ) ) {
+					statementType = lastStatementTypes[ expression.operator ];
+				}
+			} else {
+				list = this.getListLength( left );
+				if ( list && isNumericValue( right, 0, types ) ) {
+					statementType = emptyStatementTypes[ expression.operator ];
 				}
 			}
 		}
+		if ( ! list || ! statementType ) {
+			return null;
+		}
+		return {
+			statementType,
+			args: [ { type: 'list', value: this.getMetadataListName( list ), as: list.config.as, loopNames: list.loopNames, parents: this.getParentCount( list, path ) } ],
+		};
+	}
+	/**
+	 * Get the path to start looking for a ternary from, if the identifier is a list index or the list
+	 * of a length expression.
+	 *
+	 * @param {Object} path The identifier path.
+	 * @returns {Object|null} The path or null.
+	 */
+	getMetadataPath( path ) {
+		const { types } = this.babel;
+		if ( path.listKey === 'params' ) {
+			return null;
+		}
+		if ( this.getListIndex( path.node ) ) {
+			return path;
+		}
+		const parentNode = path.parentPath.node;
+		if ( types.isMemberExpression( parentNode ) && parentNode.object === path.node && this.getListLength( parentNode ) ) {
+			return path;
+		}
+		return null;
+	}
+	// The name of a list in list metadata - top level lists use their data path, nested lists are relative to their parent item.
+	getMetadataListName( list ) {
+		return list.loopNames.length ? list.name : this.getListDataPath( list.name );
+	}
+	/**
+	 * Get the number of loops between a path and the context of a list, eg 1 for `colors.length` inside
+	 * `colors.map()` - the list is looked up from its parent context there.
+	 *
+	 * Only maps of template lists are loops in the template.
+	 *
+	 * @param {Object} list The list.
+	 * @param {Object} path The path.
+	 * @returns {Number} The number of loops.
+	 */
+	getParentCount( list, path ) {
+		const { types } = this.babel;
+		let loopCount = 0;
+		let parentPath = path?.parentPath;
+		while ( parentPath ) {
+			const { node } = parentPath;
+			if ( types.isCallExpression( node ) && types.isMemberExpression( node.callee ) && types.isIdentifier( node.callee.property, { name: 'map' } ) && this.getListReference( node.callee.object ) ) {
+				loopCount++;
+			}
+			parentPath = parentPath.parentPath;
+		}
+		return Math.max( loopCount - list.loopNames.length, 0 );
+	}
+	/**
+	 * Output the index of a list item or the length of a list, eg `{ index }` or `{ items.length }`.
+	 *
+	 * @param {Object} expressionSource The expression of the JSX expression container.
+	 * @param {Object} path The JSX expression container path.
+	 * @returns {Boolean} Whether the expression was updated.
+	 */
+	updateJSXMetadataExpressions( expressionSource, path ) {
+		const { types } = this.babel;
+		const parentNode = path.parentPath.node;
+		// Keys are only used by React.
+		if ( types.isJSXAttribute( parentNode ) && parentNode.name.name === 'key' ) {
+			return false;
+		}
+		const expression = unwrapTSExpression( expressionSource );
+		const index = this.getListIndex( expression );
+		const list = index ?? this.getListLength( expression );
+		if ( ! list ) {
+			return false;
+		}
+		const parents = index ? 0 : this.getParentCount( list, path );
+		path.node.expression = getLanguageListCallExpression( index ? 'index' : 'length', this.getMetadataListName( list ), this.contextName, types, list.loopNames, { as: list.config.as, parents: parents || undefined } );
+		return true;
 	}
 };
 
+// Map comparison operators to list statement types.
+const firstStatementTypes = {
+	'===': 'ifFirst',
+	'!==': 'ifNotFirst',
+	'>': 'ifNotFirst',
+};
+const lastStatementTypes = {
+	'===': 'ifLast',
+	'!==': 'ifNotLast',
+	'<': 'ifNotLast',
+};
+const emptyStatementTypes = {
+	'===': 'ifEmpty',
+	'!==': 'ifNotEmpty',
+	'>': 'ifNotEmpty',
+};
+
+// Check if a node is a number literal with the value.
+function isNumericValue( node, value, types ) {
+	return types.isNumericLiteral( node ) && node.value === value;
+}
+
+/**
+ * Ensure a child prop (of an object list item) is an array of the prop name and its config.
+ *
+ * @param {Array|String} prop The child prop.
+ * @returns {Array} The prop name and config.
+ */
+function normaliseChildProp( prop ) {
+	if ( ! Array.isArray( prop ) ) {
+		return [ prop, {} ];
+	}
+	return [ prop[ 0 ], prop[ 1 ] ?? {} ];
+}
+
+/**
+ * Get the config of a child prop of a list, if the prop is a list itself.
+ *
+ * @param {Object} varConfig The list var config.
+ * @param {String} propName The child prop name.
+ * @returns {Object|null} The nested list config or null.
+ */
+function getChildListConfig( varConfig, propName ) {
+	const child = varConfig?.child;
+	if ( ! child || child.type !== 'object' || ! child.props ) {
+		return null;
+	}
+	const childProp = child.props.map( normaliseChildProp ).find( ( [ childPropName ] ) => childPropName === propName );
+	if ( childProp && childProp[ 1 ].type === 'list' ) {
+		return childProp[ 1 ];
+	}
+	return null;
+}
+
+/**
+ * Get the context expression, with the loop names of any parent lists added, eg `[ ..._uid, 'color' ]`.
+ *
+ * @param {String} context The context identifier name.
+ * @param {Object} types The babel types object.
+ * @param {Array} loopNames The loop names to add to the context (`null` for the default name).
+ * @returns {Object} The context expression.
+ */
+function getContextExpression( context, types, loopNames = [] ) {
+	if ( loopNames.length > 0 ) {
+		const loopNameNodes = loopNames.map( ( loopName ) => loopName ? types.stringLiteral( loopName ) : types.nullLiteral() );
+		return types.arrayExpression( [ types.spreadElement( types.identifier( context ) ), ...loopNameNodes ] );
+	}
+	return types.identifier( context );
+}
 
-function getLanguageListCallExpression( action, name, context, types ) {
+function getLanguageListCallExpression( action, name, context, types, loopNames = [], options = {} ) {
 	const nameObject = types.objectExpression( [
 		types.objectProperty( types.identifier('type'), types.stringLiteral( 'identifier' ) ),
 		types.objectProperty( types.identifier('value'), types.stringLiteral( name ) ),
 	] );
-	return types.callExpression( types.identifier( 'getLanguageList' ), [ types.stringLiteral( action ), nameObject, types.identifier( context ) ] );
+	Object.entries( options ).forEach( ( [ optionName, optionValue ] ) => {
+		if ( optionValue !== undefined ) {
+			nameObject.properties.push( types.objectProperty( types.identifier( optionName ), types.valueToNode( optionValue ) ) );
+		}
+	} );
+	return types.callExpression( types.identifier( 'getLanguageList' ), [ types.stringLiteral( action ), nameObject, getContextExpression( context, types, loopNames ) ] );
 }
 
-module.exports = { ListController, getLanguageListCallExpression };
+module.exports = { ListController, getLanguageListCallExpression, getContextExpression };
@@ -1,12 +1,108 @@
+const {
+	getMemberExpressionPath,
+	getVarDataPath,
+	isRawVar,
+	unwrapTSExpression,
+} = require( '../utils' );
+const { getFormatterCall } = require( '../formatters' );
+const diagnostics = require( '../diagnostics' );
 
+// Attributes that take a URL, their values use the `url` replace format.
+const urlAttributes = [ 'href', 'src', 'action' ];
+
+/**
+ * Gets the replace format (language target) to use, depending on where the identifier is used:
+ *
+ * - `url` - in URL attributes, eg `href={ link }`
+ * - `style` - in the `style` attribute, eg `style={ { color } }`
+ * - `attribute` - in any other attribute
+ * - `js` - in inline `<script>` elements
+ * - `html` - in `dangerouslySetInnerHTML={ { __html: body } }`
+ * - `format` - in JSX text, or anywhere else
+ *
+ * @param {Object} path The identifier (or member expression) path.
+ * @param {Object} types The babel types object.
+ * @returns {String} The replace format.
+ */
+function getReplaceTarget( path, types ) {
+	let currentPath = path;
+	let isHtmlProperty = false;
+	// Walk up through the expression the var is used in, until we reach a JSX expression container.
+	while ( ! types.isJSXExpressionContainer( currentPath.parentPath.node ) ) {
+		const parentNode = currentPath.parentPath.node;
+		const isExpressionPart = types.isExpression( parentNode ) || types.isObjectProperty( parentNode ) || types.isSpreadElement( parentNode );
+		if ( ! isExpressionPart || types.isFunction( parentNode ) || types.isJSX( parentNode ) ) {
+			return 'format';
+		}
+		if ( types.isObjectProperty( parentNode ) && currentPath.key === 'value' && types.isIdentifier( parentNode.key, { name: '__html' } ) ) {
+			isHtmlProperty = true;
+		}
+		currentPath = currentPath.parentPath;
+	}
+	const containerParentNode = currentPath.parentPath.parentPath.node;
+	if ( types.isJSXAttribute( containerParentNode ) ) {
+		const attributeName = containerParentNode.name.name;
+		if ( attributeName === 'dangerouslySetInnerHTML' ) {
+			return isHtmlProperty ? 'html' : 'attribute';
+		}
+		if ( urlAttributes.includes( attributeName ) ) {
+			return 'url';
+		}
+		// The `jsxtv_style` copy of the style is rendered for the pre-render (see `controller.js`).
+		if ( attributeName === 'style' || attributeName === 'jsxtv_style' ) {
+			return 'style';
+		}
+		return 'attribute';
+	}
+	if ( types.isJSXElement( containerParentNode ) && containerParentNode.openingElement.name.name === 'script' ) {
+		return 'js';
+	}
+	return 'format';
+}
+
+/**
+ * Creates the call expression that generates a replace string in a specific format.
+ *
+ * @param {String} target The replace format.
+ * @param {String} dataPath The path to the var in the data.
+ * @param {String} contextName The context var name.
+ * @param {Object} types The babel types object.
+ * @param {Object} options The var options - `default` and `formatter` (if any).
+ * @returns {Object} The call expression.
+ */
+function getLanguageReplaceCallExpression( target, dataPath, contextName, types, options = {} ) {
+	const arg = types.objectExpression( [
+		types.objectProperty( types.identifier( 'type' ), types.stringLiteral( 'identifier' ) ),
+		types.objectProperty( types.identifier( 'value' ), types.stringLiteral( dataPath ) ),
+	] );
+	Object.entries( options ).forEach( ( [ key, value ] ) => {
+		if ( value !== undefined ) {
+			arg.properties.push( types.objectProperty( types.identifier( key ), types.valueToNode( value ) ) );
+		}
+	} );
+	return types.callExpression( types.identifier( 'getLanguageReplace' ), [ types.stringLiteral( target ), arg, types.identifier( contextName ) ] );
+}
 
 class ReplaceController {
-	constructor( vars, contextName, babel ) {
+	constructor( vars, contextName, babel, propsName = null, formatters = {}, config = {} ) {
 		this.vars = vars;
 		this.contextName = contextName;
 		this.babel = babel;
+		this.propsName = propsName;
+		this.formatters = formatters;
+		// The plugin config, for reporting diagnostics.
+		this.config = config;
 		this.initVars = this.initVars.bind( this );
 		this.updateIdentifierNames = this.updateIdentifierNames.bind( this );
+		this.updateMemberExpressions = this.updateMemberExpressions.bind( this );
+		this.replaceWithTarget = this.replaceWithTarget.bind( this );
+		this.getVarTarget = this.getVarTarget.bind( this );
+		this.getVarConfig = this.getVarConfig.bind( this );
+		this.getVarOptions = this.getVarOptions.bind( this );
+		this.replaceDefaultExpression = this.replaceDefaultExpression.bind( this );
+		this.replaceFormatterCall = this.replaceFormatterCall.bind( this );
+		// Raw vars are output without escaping.
+		this.rawNames = this.vars.raw.filter( ( [ varName, varConfig ] ) => isRawVar( varConfig ) ).map( ( [ varName ] ) => varName );
 	}
 	initVars( path ) {
 		// Add the new replace vars to to top of the block statement.
@@ -14,8 +110,13 @@ class ReplaceController {
 		const self = this;
 		this.vars.raw.forEach( ( templateVar ) => {
 			const [ varName, varConfig ] = templateVar;
+			// Dot path vars (eg `user.address.city`) are passed through as they are, the language
+			// takes care of the nested lookup.
+			const dataPath = getVarDataPath( varName, self.propsName, varConfig );
+			const target = self.rawNames.includes( varName ) ? 'raw' : 'format';
+			const arg = JSON.stringify( { type: 'identifier', value: dataPath, ...self.getVarOptions( varName ) } );
 			// Alway declare as `let` so we don't need to worry about its usage later.
-			const replaceString = `getLanguageReplace( 'format', { value: '${ varName }' }, ${ self.contextName } )`; 
+			const replaceString = `getLanguageReplace( '${ target }', ${ arg }, ${ self.contextName } )`; 
 			path.node.body.unshift( parse(`let ${ self.vars.mapped[ varName ] } = ${ replaceString };`) );
 		} );
 	}
@@ -23,26 +124,168 @@ class ReplaceController {
 		const { types } = this.babel;
 		// We need to update all the identifiers with the new variables declared in the block statement
 		if ( this.vars.names.includes( path.node.name ) ) {
+			if ( this.replaceDefaultExpression( path, path.node.name ) || this.replaceFormatterCall( path, path.node.name ) ) {
+				return;
+			}
 			// Make sure we only replace identifiers that are not props and also that
 			// they are not variable declarations.
 			const excludeTypes = [ 'ObjectProperty', 'MemberExpression', 'VariableDeclarator', 'ArrayPattern' ];
-			if ( path.parentPath.node && ! excludeTypes.includes( path.parentPath.node.type ) ) {
-				path.node.name = this.vars.mapped[ path.node.name ];
+			// Function params declare the original vars, so leave them as they are.
+			const isParam = path.listKey === 'params';
+			if ( path.parentPath.node && ! excludeTypes.includes( path.parentPath.node.type ) && ! isParam ) {
+				if ( ! this.replaceWithTarget( path, path.node.name ) ) {
+					path.node.name = this.vars.mapped[ path.node.name ];
+				}
 			}
 
 			// Now lets carefully update the node in 'ObjectProperty' types.
 			// We can only re-assign the property value name, not the property key name
 			// So we want { varName } to become { varName: _uid } or { something: varName } to become { something: _uid }
-			if ( types.isObjectProperty( path.parentPath.node ) ) {
+			// Only do this for object expressions - object patterns (destructuring) declare the original vars.
+			if ( types.isObjectProperty( path.parentPath.node ) && types.isObjectExpression( path.parentPath.parentPath.node ) ) {
 				if ( types.isIdentifier( path.parentPath.node.value ) ) {
 					const valueName = path.parentPath.node.value.name;
 					if ( this.vars.names.includes( valueName ) ) {
-						path.parentPath.node.value.name = this.vars.mapped[ valueName ];
+						const target = this.getVarTarget( getReplaceTarget( path, types ), valueName );
+						if ( target !== this.getVarTarget( 'format', valueName ) ) {
+							path.parentPath.node.value = getLanguageReplaceCallExpression( target, getVarDataPath( valueName, this.propsName, this.getVarConfig( valueName ) ), this.contextName, types, this.getVarOptions( valueName ) );
+							path.parentPath.node.shorthand = false;
+						} else {
+							path.parentPath.node.value.name = this.vars.mapped[ valueName ];
+						}
 					}
 				}
 			}
 		}
 	}
+	updateMemberExpressions( path ) {
+		const { types } = this.babel;
+		// Replace member expressions that match dot path vars, eg `props.name` or `user.address.city`.
+		// The outer most member expression is visited first so the full path is matched.
+		const memberPath = getMemberExpressionPath( path.node, types );
+		if ( ! memberPath || ! this.vars.names.includes( memberPath ) ) {
+			return;
+		}
+		// Don't replace the member expression if it is being assigned to.
+		const parentNode = path.parentPath.node;
+		if ( types.isAssignmentExpression( parentNode ) && parentNode.left === path.node ) {
+			return;
+		}
+		if ( types.isUpdateExpression( parentNode ) ) {
+			return;
+		}
+		if ( this.replaceDefaultExpression( path, memberPath ) || this.replaceFormatterCall( path, memberPath ) ) {
+			return;
+		}
+		if ( ! this.replaceWithTarget( path, memberPath ) ) {
+			path.replaceWith( types.identifier( this.vars.mapped[ memberPath ] ) );
+		}
+	}
+	/**
+	 * Gets the replace format for a var, depending on where it is used.
+	 *
+	 * Raw vars use the `raw` format in JSX text and `__html` - attributes, URLs etc are still escaped.
+	 * Other vars in `__html` are escaped with `format`.
+	 *
+	 * @param {String} target The replace format for where the var is used (see `getReplaceTarget`).
+	 * @param {String} varName The template var name.
+	 * @returns {String} The replace format.
+	 */
+	getVarTarget( target, varName ) {
+		if ( this.rawNames.includes( varName ) ) {
+			return [ 'format', 'html' ].includes( target ) ? 'raw' : target;
+		}
+		return target === 'html' ? 'format' : target;
+	}
+	/**
+	 * Replaces a var used in an attribute or script with a replace string in the matching format,
+	 * vars used anywhere else use the replace var declared in the block statement.
+	 *
+	 * @param {Object} path The identifier or member expression path.
+	 * @param {String} varName The template var name.
+	 * @returns {Boolean} Whether the var was replaced.
+	 */
+	replaceWithTarget( path, varName ) {
+		const { types } = this.babel;
+		const target = this.getVarTarget( getReplaceTarget( path, types ), varName );
+		// The declared var already uses this format.
+		if ( target === this.getVarTarget( 'format', varName ) ) {
+			return false;
+		}
+		path.replaceWith( getLanguageReplaceCallExpression( target, getVarDataPath( varName, this.propsName, this.getVarConfig( varName ) ), this.contextName, types, this.getVarOptions( varName ) ) );
+		return true;
+	}
+	getVarConfig( varName ) {
+		const templateVar = this.vars.raw.find( ( [ rawVarName ] ) => rawVarName === varName );
+		return templateVar ? templateVar[ 1 ] : {};
+	}
+	/**
+	 * Gets the options of a var that are passed to the language - the `default` value and the
+	 * `format` (formatter name).
+	 *
+	 * @param {String} varName The template var name.
+	 * @returns {Object} The options.
+	 */
+	getVarOptions( varName ) {
+		const varConfig = this.getVarConfig( varName );
+		return {
+			default: varConfig.default,
+			formatter: varConfig.format,
+		};
+	}
+	/**
+	 * Replaces fallback expressions with a replace string using the fallback as the default value,
+	 * eg `name || 'Guest'` or `name ?? 'Guest'`.
+	 *
+	 * @param {Object} path The identifier or member expression path.
+	 * @param {String} varName The template var name.
+	 * @returns {Boolean} Whether the expression was replaced.
+	 */
+	replaceDefaultExpression( path, varName ) {
+		const { types } = this.babel;
+		const logicalPath = path.parentPath;
+		const logicalNode = logicalPath.node;
+		if ( ! types.isLogicalExpression( logicalNode ) || ! [ '||', '??' ].includes( logicalNode.operator ) || logicalNode.left !== path.node ) {
+			return false;
+		}
+		// Only literals can be used as defaults in the template.
+		const defaultNode = unwrapTSExpression( logicalNode.right );
+		if ( ! types.isStringLiteral( defaultNode ) && ! types.isNumericLiteral( defaultNode ) && ! types.isBooleanLiteral( defaultNode ) ) {
+			return false;
+		}
+		const target = this.getVarTarget( getReplaceTarget( logicalPath, types ), varName );
+		const options = { ...this.getVarOptions( varName ), default: defaultNode.value };
+		logicalPath.replaceWith( getLanguageReplaceCallExpression( target, getVarDataPath( varName, this.propsName, this.getVarConfig( varName ) ), this.contextName, types, options ) );
+		return true;
+	}
+	/**
+	 * Replaces known formatter call sites (see `formatters.js`) with a replace string using the formatter,
+	 * eg `formatPrice( price )` or `date.toLocaleDateString()` - formatting the template tag in JS would break it.
+	 *
+	 * A `format` set on the var is used over the formatter of the call site. Any other arguments of the call
+	 * (eg `price.toFixed( 2 )`) can't be passed to the formatter in the template, so they are reported.
+	 *
+	 * @param {Object} path The identifier or member expression path.
+	 * @param {String} varName The template var name.
+	 * @returns {Boolean} Whether the call was replaced.
+	 */
+	replaceFormatterCall( path, varName ) {
+		const { types } = this.babel;
+		const formatterCall = getFormatterCall( path, this.formatters, types );
+		if ( ! formatterCall ) {
+			return false;
+		}
+		const { callPath, name, callName, args } = formatterCall;
+		const varOptions = this.getVarOptions( varName );
+		const formatter = varOptions.formatter ?? name;
+		if ( args.length ) {
+			diagnostics.report( callPath, `The arguments of \`${ callName }()\` are not passed to the template, the value is output with the \`${ formatter }\` formatter.`, this.config );
+		}
+		const target = this.getVarTarget( getReplaceTarget( callPath, types ), varName );
+		const options = { ...varOptions, formatter };
+		callPath.replaceWith( getLanguageReplaceCallExpression( target, getVarDataPath( varName, this.propsName, this.getVarConfig( varName ) ), this.contextName, types, options ) );
+		return true;
+	}
 };
 
 module.exports = { ReplaceController };
\ No newline at end of file
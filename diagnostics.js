@@ -0,0 +1,44 @@
+/**
+ * Compile time diagnostics.
+ *
+ * Warns about template vars that will not work as expected (rather than silently generating the
+ * wrong template), with a code frame pointing to the source.
+ *
+ * When the `strict` option is set, the warnings are thrown as errors instead, to fail the build.
+ */
+const prefix = '[jsx-template-vars]';
+
+/**
+ * Build the diagnostic error, with a code frame if the path is available.
+ *
+ * @param {Object|null} path The path the diagnostic relates to.
+ * @param {String} message The message.
+ * @returns {Error} The error.
+ */
+function buildError( path, message ) {
+	if ( path && path.node && path.hub ) {
+		return path.buildCodeFrameError( `${ prefix } ${ message }` );
+	}
+	return new Error( `${ prefix } ${ message }` );
+}
+
+/**
+ * Report a diagnostic - show a warning, or throw an error in strict mode.
+ *
+ * @param {Object|null} path The path the diagnostic relates to.
+ * @param {String} message The message.
+ * @param {Object} config The plugin config.
+ */
+function report( path, message, config = {} ) {
+	const error = buildError( path, message );
+	if ( config.strict ) {
+		throw error;
+	}
+	// Babel adds the filename to thrown errors, so add it to warnings too.
+	const filename = path?.hub?.file?.opts?.filename;
+	console.warn( filename ? `${ filename }: ${ error.message }` : error.message );
+}
+
+module.exports = {
+	report,
+};
@@ -0,0 +1,114 @@
+/**
+ * The formatter registry.
+ *
+ * Formatters map replace vars to formatting helpers in the template language (eg `{{currency price}}`
+ * or `format_currency( $data['price'] )` in PHP), instead of formatting the template tag in JS.
+ *
+ * Each formatter lists its known call sites in components, so they can be bypassed and replaced with
+ * the formatted template tag:
+ * - `calls` - functions that are passed the var, eg `formatPrice( price )`
+ * - `methods` - methods called on the var, eg `date.toLocaleDateString()`
+ */
+const defaultFormatters = {
+	currency: {
+		calls: [ 'formatPrice', 'formatCurrency' ],
+		methods: [],
+	},
+	number: {
+		calls: [ 'formatNumber' ],
+		methods: [ 'toFixed', 'toLocaleString' ],
+	},
+	date: {
+		calls: [ 'formatDate' ],
+		methods: [ 'toLocaleDateString', 'toDateString' ],
+	},
+	uppercase: {
+		calls: [],
+		methods: [ 'toUpperCase' ],
+	},
+	lowercase: {
+		calls: [],
+		methods: [ 'toLowerCase' ],
+	},
+};
+
+/**
+ * Build the formatter registry from the defaults and the plugin config.
+ *
+ * Formatters can be added (or the call sites of existing ones extended) via the `formatters` option, eg:
+ * `formatters: { currency: { calls: [ 'formatMoney' ] }, slug: { calls: [ 'slugify' ] } }`
+ *
+ * @param {Object} config The plugin config.
+ * @returns {Object} The formatters, keyed by name.
+ */
+function getFormatters( config = {} ) {
+	const formatters = {};
+	const configFormatters = config.formatters ?? {};
+	[ ...new Set( [ ...Object.keys( defaultFormatters ), ...Object.keys( configFormatters ) ] ) ].forEach( ( name ) => {
+		const defaultFormatter = defaultFormatters[ name ] ?? {};
+		const configFormatter = configFormatters[ name ] ?? {};
+		formatters[ name ] = {
+			calls: [ ...( defaultFormatter.calls ?? [] ), ...( configFormatter.calls ?? [] ) ],
+			methods: [ ...( defaultFormatter.methods ?? [] ), ...( configFormatter.methods ?? [] ) ],
+		};
+	} );
+	return formatters;
+}
+
+/**
+ * Find a known formatter call site for a var, eg `formatPrice( price )` or `price.toFixed( 2 )`.
+ *
+ * @param {Object} path The path of the var (identifier or member expression).
+ * @param {Object} formatters The formatter registry.
+ * @param {Object} types The babel types object.
+ * @returns {Object|null} The call path, formatter name, name of the called function or method and its other
+ *                       arguments (eg `2` in `price.toFixed( 2 )`), or null if there is no known call site.
+ */
+function getFormatterCall( path, formatters, types ) {
+	const parentPath = path.parentPath;
+	const parentNode = parentPath.node;
+
+	// Functions, eg `formatPrice( price )` or `utils.formatPrice( price )`.
+	if ( types.isCallExpression( parentNode ) && parentNode.arguments[ 0 ] === path.node ) {
+		const calleeName = getCalleeName( parentNode.callee, types );
+		const name = Object.keys( formatters ).find( ( formatterName ) => formatters[ formatterName ].calls.includes( calleeName ) );
+		if ( name ) {
+			return { callPath: parentPath, name, callName: calleeName, args: parentNode.arguments.slice( 1 ) };
+		}
+	}
+
+	// Methods, eg `date.toLocaleDateString()`.
+	if ( types.isMemberExpression( parentNode ) && parentNode.object === path.node && ! parentNode.computed && types.isIdentifier( parentNode.property ) ) {
+		const callPath = parentPath.parentPath;
+		if ( types.isCallExpression( callPath.node ) && callPath.node.callee === parentNode ) {
+			const methodName = parentNode.property.name;
+			const name = Object.keys( formatters ).find( ( formatterName ) => formatters[ formatterName ].methods.includes( methodName ) );
+			if ( name ) {
+				return { callPath, name, callName: methodName, args: callPath.node.arguments };
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Get the name of the function being called, eg `formatPrice` for `formatPrice()` or `utils.formatPrice()`.
+ *
+ * @param {Object} callee The callee node.
+ * @param {Object} types The babel types object.
+ * @returns {String|null} The name.
+ */
+function getCalleeName( callee, types ) {
+	if ( types.isIdentifier( callee ) ) {
+		return callee.name;
+	}
+	if ( types.isMemberExpression( callee ) && ! callee.computed && types.isIdentifier( callee.property ) ) {
+		return callee.property.name;
+	}
+	return null;
+}
+
+module.exports = {
+	getFormatters,
+	getFormatterCall,
+};
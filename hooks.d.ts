@@ -0,0 +1,7 @@
+import type { TemplateVars } from './index';
+
+/**
+ * Declare the template vars of a component from its render function - the call is removed by the plugin
+ * (and does nothing in builds without it).
+ */
+export declare function useTemplateVars( templateVars: TemplateVars ): void;
@@ -0,0 +1,17 @@
+/**
+ * The `useTemplateVars` hook, for declaring the template vars of a component from its render function.
+ *
+ * The plugin removes the call (and its import), this no-op is used by builds without the plugin (eg tests
+ * or Storybook), so this file must stay safe to bundle for the browser - it doesn't require the plugin.
+ */
+
+/**
+ * Declare the template vars of a component, eg `useTemplateVars( [ 'name', [ 'show', { type: 'control' } ] ] )`.
+ *
+ * @param {Array} templateVars The template vars.
+ */
+function useTemplateVars( templateVars ) {}
+
+module.exports = {
+	useTemplateVars,
+};
@@ -0,0 +1,199 @@
+/**
+ * Types for the plugin options and the `templateVars` config of components.
+ *
+ * Use `satisfies` to check the `templateVars` of a component, eg:
+ *
+ * import type { TemplateVars } from 'babel-plugin-jsx-template-vars';
+ * Person.templateVars = [ 'name', [ 'show', { type: 'control' } ] ] satisfies TemplateVars;
+ */
+declare function templateVarsPlugin( babel: object, options?: templateVarsPlugin.PluginOptions ): object;
+
+declare namespace templateVarsPlugin {
+	/**
+	 * A default value, output when the data is missing.
+	 */
+	type DefaultValue = string | number | boolean;
+
+	/**
+	 * A replace var, output as a (escaped) template variable, eg `{{name}}`.
+	 */
+	interface ReplaceVarConfig {
+		type?: 'replace';
+		/**
+		 * Set to `false` to output the var without escaping (the same as the `raw` type).
+		 */
+		escape?: boolean;
+		default?: DefaultValue;
+		/**
+		 * The name of the formatter to output the var with, eg `currency`.
+		 */
+		format?: string;
+	}
+
+	/**
+	 * A raw replace var, output without escaping, eg `{{{body}}}`.
+	 */
+	interface RawVarConfig {
+		type: 'raw';
+		default?: DefaultValue;
+	}
+
+	/**
+	 * A control var, used in conditions to show or hide content.
+	 */
+	interface ControlVarConfig {
+		type: 'control';
+	}
+
+	/**
+	 * A list of primitive values, eg `[ 'red', 'green' ]`.
+	 */
+	interface PrimitiveListChild {
+		type: 'primitive';
+	}
+
+	/**
+	 * A prop of a list item, either a name or a name with its config - props can be lists themselves.
+	 */
+	type ListChildProp = string | readonly [ string ] | readonly [ string, ReplaceVarConfig | ListVarConfig ];
+
+	/**
+	 * A list of objects, with the props to expose.
+	 */
+	interface ObjectListChild {
+		type: 'object';
+		props: readonly ListChildProp[];
+	}
+
+	type ListChild = PrimitiveListChild | ObjectListChild;
+
+	/**
+	 * A list var, for repeatable content (rendered with `.map()`).
+	 */
+	interface ListVarConfig {
+		type: 'list';
+		/**
+		 * The shape of the list items, defaults to `{ type: 'primitive' }`.
+		 */
+		child?: ListChild;
+		/**
+		 * Other names the list is assigned to in the component.
+		 */
+		aliases?: readonly string[];
+		/**
+		 * The name of the loop variable in the template, eg `color` for `foreach ( $data['colors'] as $color )`.
+		 */
+		as?: string;
+		/**
+		 * The items to use when the data is missing (not supported in Handlebars, which renders nothing).
+		 */
+		default?: readonly DefaultValue[];
+	}
+
+	type TemplateVarConfig = ReplaceVarConfig | RawVarConfig | ControlVarConfig | ListVarConfig;
+
+	/**
+	 * A template var - its name (or dot path, eg `user.name`), with an optional config.
+	 */
+	type TemplateVar = string | readonly [ string ] | readonly [ string, TemplateVarConfig ];
+
+	/**
+	 * The `templateVars` of a component.
+	 */
+	type TemplateVars = readonly TemplateVar[];
+
+	/**
+	 * A HOC to unwrap to find the render function of a component, either its name or its name
+	 * with a config.
+	 */
+	type HocOption = string | readonly [ string, { propsParam?: number } ];
+
+	/**
+	 * The known call sites of a formatter in components.
+	 */
+	interface FormatterOption {
+		/**
+		 * Functions that are passed the var, eg `formatPrice` for `formatPrice( price )`.
+		 */
+		calls?: readonly string[];
+		/**
+		 * Methods called on the var, eg `toLocaleDateString` for `date.toLocaleDateString()`.
+		 */
+		methods?: readonly string[];
+	}
+
+	/**
+	 * The options for static compilation.
+	 */
+	interface StaticOptions {
+		/**
+		 * The directory to write the templates to (defaults to `./templates`).
+		 */
+		outputDir?: string;
+		/**
+		 * The extension of the template files (defaults to `hbs` for Handlebars, `php` for PHP, or `html`).
+		 */
+		extension?: string;
+	}
+
+	interface PluginOptions {
+		/**
+		 * The built in language to output - `handlebars` or `php`.
+		 */
+		language?: 'handlebars' | 'php';
+		/**
+		 * The path to a custom language file (defaults to `./.tvlang`), used when `language` is not set.
+		 */
+		customLanguage?: string;
+		/**
+		 * Output several languages from one build - the built in language names or paths to custom language files.
+		 * Language neutral markers are rendered, which are expanded into a template for each language after rendering.
+		 */
+		languages?: readonly string[];
+		/**
+		 * Only remove the `templateVars` from the source, without transforming the components.
+		 */
+		tidyOnly?: boolean;
+		/**
+		 * Additional HOCs to unwrap (`memo` and `forwardRef` are always unwrapped).
+		 */
+		hocs?: readonly HocOption[];
+		/**
+		 * Write a JSON manifest of the template vars, `true` writes to `./template-vars-manifest.json`.
+		 */
+		manifest?: boolean | string;
+		/**
+		 * Throw warnings as errors, to fail the build.
+		 */
+		strict?: boolean;
+		/**
+		 * Add formatters, or extend the call sites of the built in formatters.
+		 */
+		formatters?: Record<string, FormatterOption>;
+		/**
+		 * The template vars of components, keyed by component name (for components that can't be changed).
+		 */
+		components?: Record<string, TemplateVars>;
+		/**
+		 * The name of the root data var in the template, eg `page` for `$page['title']` (defaults to `data`).
+		 */
+		dataName?: string;
+		/**
+		 * How the template context is passed to components rendered in lists - as a `__context__` prop
+		 * (the default) or through React context.
+		 */
+		context?: 'props' | 'react';
+		/**
+		 * Follow template vars passed as props into the components they are passed to, so the
+		 * child components output them as template vars too. Only components declared in the same file, that
+		 * are passed the same template vars by every element that renders them, are followed.
+		 */
+		propagate?: boolean;
+		/**
+		 * Compile components to template files at build time, `true` writes to `./templates`.
+		 */
+		static?: boolean | StaticOptions;
+	}
+}
+
+export = templateVarsPlugin;
@@ -5,23 +5,33 @@
  * 
  */
 const templateVarsVisitor = require( './visitor' );
+const manifest = require( './manifest' );
+const propagation = require( './propagation' );
+const diagnostics = require( './diagnostics' );
+const { createCompiler } = require( './compiler' );
+const { neutralLanguage, getLanguagePath, readLanguage } = require( './runtime' );
+const { isFileTransformed } = require( './utils' );
 const fs = require('fs')
 const { fileURLToPath, pathToFileURL, format } = require( 'url' );
 const path = require( 'path' );
 
-
-const injectedFiles = [];
 const filePath = pathToFileURL( __dirname ).href;
 module.exports = ( babel, config ) => {
+	const { types } = babel;
 	// Creat custom import template for injecting language functions into components.
 	const buildImport = babel.template(`
-		import { getLanguageList, getLanguageReplace, getLanguageControl, registerLanguage } from "${ filePath }/language/index.js";
+		import { getLanguageList, getLanguageReplace, getLanguageControl, getStyleAttribute, registerLanguage } from "${ filePath }/language/index.js";
+	`);
+	// In `react` context mode, the template context is passed through React context (see `./language/context.js`).
+	const buildContextImport = babel.template(`
+		import { TemplateVarsContext, useTemplateVarsContext } from "${ filePath }/language/context.js";
 	`);
-	const languageImportDeclaration = buildImport();
 	const pluginPathURL = pathToFileURL( __dirname ).href;
 
 	// Build custom language either from PHP or Handlebars preset, or a custom language.
 	let language;
+	// The static compiler, which writes the components as template files (if enabled).
+	let compiler = null;
 	// Try to read default location of custom language file.
 	let languagePath;
 	
@@ -33,50 +43,88 @@ module.exports = ( babel, config ) => {
 			languagePath = config.customLanguage ? config.customLanguage : './.tvlang';
 		}
 		/**
-		 * *Note - we need to assign the template vars language to the window, so it doesn't matter
+		 * *Note - we need to assign the template vars language to the global object, so it doesn't matter
 			when its loaded...
 			We did inject this into `/languages/index.js` but most default webpack builds exclude
 			node_modules so we can't inject it there (because we can't visit it)
+			`globalThis` is used (rather than `window`) so the code can run in Node, workers and test runners.
 		*/
-		try {
-			const data = fs.readFileSync( languagePath, { encoding: 'utf8' } );
-			language = babel.parse( "window.templateVarsLanguage = " + data );
-		} catch (err) {
-			language = babel.parse( "window.templateVarsLanguage = {};" );
-			console.log(err);
+		if ( config.languages?.length ) {
+			// When building for several languages the neutral language is injected, so the runtime outputs
+			// markers which are expanded into the template tags of each language after rendering.
+			config.languages.forEach( ( languageName ) => {
+				try {
+					readLanguage( languageName );
+				} catch ( err ) {
+					diagnostics.report( null, `The language file \`${ getLanguagePath( languageName ) }\` could not be loaded: ${ err.message }`, config );
+				}
+			} );
+			const data = JSON.stringify( neutralLanguage );
+			language = babel.parse( "globalThis.templateVarsLanguage = " + data );
+			compiler = createCompiler( babel, config, data );
+		} else {
+			try {
+				const data = fs.readFileSync( languagePath, { encoding: 'utf8' } );
+				language = babel.parse( "globalThis.templateVarsLanguage = " + data );
+				compiler = createCompiler( babel, config, data );
+			} catch (err) {
+				language = babel.parse( "globalThis.templateVarsLanguage = {};" );
+				diagnostics.report( null, `The language file \`${ languagePath }\` could not be loaded: ${ err.message }`, config );
+			}
 		}
 	}
-	let hasAddedLanguage = false;
+	const manifestPath = manifest.getManifestPath( config );
 
 	return {
 		name: "template-vars-plugin",
+		pre( file ) {
+			// Clear any components previously found in this file (eg in watch mode).
+			if ( manifestPath ) {
+				manifest.clearFile( file.opts.filename );
+			}
+		},
+		post( file ) {
+			// Update the manifest with the components found in this file.
+			if ( manifestPath ) {
+				manifest.writeManifest( manifestPath, config );
+			}
+		},
 		visitor: {
 			Program(path, state) {
-				const root = path;
+				// Only visit the program of the file - the code added to components is parsed, so it has its own program.
+				if ( path.parentPath ) {
+					return;
+				}
 				// The main plugin visitor.
-				path.traverse( templateVarsVisitor( babel, config ) );
+				// When following template vars across components, the components are transformed once they have all been found.
+				const pendingComponents = config.propagate && ! tidyOnly ? [] : null;
+				path.traverse( templateVarsVisitor( babel, config, compiler, pendingComponents ) );
+				if ( pendingComponents ) {
+					propagation.transformComponents( path, pendingComponents, babel, config );
+				}
 				
 				if ( tidyOnly ) {
 					return;
 				}
 
-				if ( hasAddedLanguage === false ) {
-					path.unshiftContainer( 'body', language );
-					hasAddedLanguage = true;
+				// The language and our language functions are injected into every file with transformed components,
+				// so the output of a file doesn't depend on the files transformed before it (eg with babel-loader's
+				// cache, parallel loaders or a watch rebuild). The language is the same in each file, so it can
+				// be assigned more than once.
+				if ( ! isFileTransformed( state.file ) ) {
+					return;
 				}
-				
-				// Inject our language functions to existing files via imports.
-				// Make sure we haven't already added to the current file.
-				if ( ! injectedFiles.includes( state.file.opts.filename ) ) {
-					// Inject our language functions to existing files via imports.
-					// Make sure we haven't already added to the current file.
-					// And don't import into our own files, or node_modules.
-					const filenameUrl = pathToFileURL( state.file.opts.filename ).href;
-					if ( ! filenameUrl.includes( pluginPathURL ) && ! state.file.opts.filename.includes( 'node_modules' ) ) {
-						injectedFiles.push( state.file.opts.filename );
-						root.node.body.unshift( languageImportDeclaration );
-					}
+				// Don't inject into our own files, or node_modules.
+				const { filename } = state.file.opts;
+				if ( filename && ( pathToFileURL( filename ).href.includes( pluginPathURL ) || filename.includes( 'node_modules' ) ) ) {
+					return;
+				}
+				// New nodes are created for each file, as the AST of a file may be changed by other plugins.
+				const nodesToAdd = [ buildImport(), ...language.program.body.map( ( node ) => types.cloneNode( node, true ) ) ];
+				if ( config.context === 'react' ) {
+					nodesToAdd.unshift( buildContextImport() );
 				}
+				path.unshiftContainer( 'body', nodesToAdd );
 			}
 		},
 	};
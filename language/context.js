@@ -0,0 +1,20 @@
+// The template context (the list of context names, eg `[ 'data', 'color' ]`) passed through React
+// context, when the `context` option of the template vars plugin is set to `react`.
+
+import { createContext, useContext } from 'react';
+
+/**
+ * The template context, provided around components rendered in lists.
+ */
+export const TemplateVarsContext = createContext( null );
+
+/**
+ * Gets the template context of a component, or the root context when there is no provider.
+ *
+ * @param {Array} rootContext The root context, eg `[ 'data' ]`.
+ * @returns {Array} The context names.
+ */
+export function useTemplateVarsContext( rootContext ) {
+	const context = useContext( TemplateVarsContext );
+	return Array.isArray( context ) ? context : rootContext;
+}
@@ -0,0 +1,112 @@
+/**
+ * Runtime helpers for the templates generated with the Handlebars language (see `../languages/handlebars.json`).
+ *
+ * Usage:
+ *
+ * const Handlebars = require( 'handlebars' );
+ * const { registerHelpers } = require( 'babel-plugin-jsx-template-vars/language/helpers/handlebars' );
+ * registerHelpers( Handlebars );
+ *
+ * Conditions follow JS truthiness (rather than Handlebars truthiness), so the output matches the React
+ * render, eg empty arrays are truthy, and `0` and `''` are falsy.
+ *
+ * The condition helpers can be used as block helpers, eg `{{#if_equal type 'a'}}...{{/if_equal}}`, or as
+ * subexpressions which return a boolean, eg `{{#if_any (if_truthy a) (if_truthy b)}}` or
+ * `{{else if (if_equal type 'b')}}`.
+ */
+
+/**
+ * Check if a value is truthy, using JS truthiness.
+ *
+ * @param {*} value The value.
+ * @returns {Boolean} Whether the value is truthy.
+ */
+function isTruthy( value ) {
+	return Boolean( value );
+}
+
+/**
+ * Create a condition helper, which renders its block if the test passes, or returns the result of the
+ * test when used as a subexpression.
+ *
+ * @param {Function} test The test, passed the helper args.
+ * @returns {Function} The helper.
+ */
+function createConditionHelper( test ) {
+	return function( ...args ) {
+		const options = args.pop();
+		const result = test( ...args );
+		// Subexpressions don't have a block to render.
+		if ( typeof options.fn !== 'function' ) {
+			return result;
+		}
+		return result ? options.fn( this ) : options.inverse( this );
+	};
+}
+
+/**
+ * Check if a list includes a value.
+ *
+ * @param {*} value The value.
+ * @param {Array} list The list.
+ * @returns {Boolean} Whether the list includes the value.
+ */
+function isIn( value, list ) {
+	return Array.isArray( list ) && list.includes( value );
+}
+
+const conditionHelpers = {
+	if_truthy: ( value ) => isTruthy( value ),
+	if_falsy: ( value ) => ! isTruthy( value ),
+	if_equal: ( a, b ) => a === b,
+	if_not_equal: ( a, b ) => a !== b,
+	if_greater: ( a, b ) => a > b,
+	if_greater_equal: ( a, b ) => a >= b,
+	if_less: ( a, b ) => a < b,
+	if_less_equal: ( a, b ) => a <= b,
+	if_in: ( value, list ) => isIn( value, list ),
+	if_not_in: ( value, list ) => ! isIn( value, list ),
+	// Groups are passed the results of their conditions (as subexpressions).
+	if_all: ( ...conditions ) => conditions.every( isTruthy ),
+	if_any: ( ...conditions ) => conditions.some( isTruthy ),
+	if_not_all: ( ...conditions ) => ! conditions.every( isTruthy ),
+	if_not_any: ( ...conditions ) => ! conditions.some( isTruthy ),
+};
+
+const escapeHelpers = {
+	// Remove unsafe URL schemes (the result is HTML escaped by Handlebars).
+	escape_url: ( value ) => String( value ?? '' ).replace( /^\s*(javascript|vbscript|data):.*/is, '' ),
+	// Only allow characters that can't break out of a CSS value.
+	escape_css: ( value ) => String( value ?? '' ).replace( /[^\w\s#%.,()\-]/g, '' ),
+	// Output a JS literal that is safe to use in inline scripts (used with `{{{ }}}`).
+	escape_js: ( value ) => {
+		return JSON.stringify( value ?? null )
+			.replace( /</g, '\\u003c' )
+			.replace( />/g, '\\u003e' )
+			.replace( /&/g, '\\u0026' )
+			.replace( /'/g, '\\u0027' )
+			.replace( /\u2028/g, '\\u2028' )
+			.replace( /\u2029/g, '\\u2029' );
+	},
+};
+
+/**
+ * Register the helpers with a Handlebars instance.
+ *
+ * @param {Object} Handlebars The Handlebars instance.
+ * @returns {Object} The Handlebars instance.
+ */
+function registerHelpers( Handlebars ) {
+	Object.entries( conditionHelpers ).forEach( ( [ name, test ] ) => {
+		Handlebars.registerHelper( name, createConditionHelper( test ) );
+	} );
+	Object.entries( escapeHelpers ).forEach( ( [ name, helper ] ) => {
+		Handlebars.registerHelper( name, ( value ) => helper( value ) );
+	} );
+	return Handlebars;
+}
+
+module.exports = {
+	registerHelpers,
+	isTruthy,
+};
@@ -0,0 +1,217 @@
+<?php
+/**
+ * Runtime helpers for the templates generated with the Handlebars language (see `../languages/handlebars.json`),
+ * for PHP ports of Handlebars such as LightnCandy.
+ *
+ * Usage (LightnCandy):
+ *
+ * require_once 'vendor/.../babel-plugin-jsx-template-vars/language/helpers/handlebars.php';
+ * $php = LightnCandy::compile( $template, array(
+ *     'flags'   => LightnCandy::FLAG_HANDLEBARSJS,
+ *     'helpers' => jsxtv_handlebars_helpers(),
+ * ) );
+ *
+ * Conditions follow JS truthiness and equality (rather than PHP), so the output matches the React render,
+ * eg empty arrays and `'0'` are truthy, and `0` and `''` are falsy.
+ *
+ * The condition helpers can be used as block helpers, eg `{{#if_equal type 'a'}}...{{/if_equal}}`, or as
+ * subexpressions which return a boolean, eg `{{#if_any (if_truthy a) (if_truthy b)}}` or
+ * `{{else if (if_equal type 'b')}}`.
+ */
+
+/**
+ * Check if a value is truthy, using JS truthiness.
+ *
+ * @param mixed $value The value.
+ * @return bool Whether the value is truthy.
+ */
+function jsxtv_is_truthy( $value ) {
+	// Arrays and objects are always truthy in JS (even when empty).
+	if ( is_array( $value ) || is_object( $value ) ) {
+		return true;
+	}
+	// Only empty strings are falsy in JS (`'0'` is truthy).
+	if ( is_string( $value ) ) {
+		return $value !== '';
+	}
+	if ( is_float( $value ) && is_nan( $value ) ) {
+		return false;
+	}
+	return (bool) $value;
+}
+
+/**
+ * Check if two values are equal, using JS strict equality (ints and floats are both numbers in JS).
+ *
+ * @param mixed $a The first value.
+ * @param mixed $b The second value.
+ * @return bool Whether the values are equal.
+ */
+function jsxtv_is_equal( $a, $b ) {
+	if ( ( is_int( $a ) || is_float( $a ) ) && ( is_int( $b ) || is_float( $b ) ) ) {
+		return $a == $b;
+	}
+	return $a === $b;
+}
+
+/**
+ * Check if a list includes a value.
+ *
+ * @param mixed $value The value.
+ * @param mixed $list The list.
+ * @return bool Whether the list includes the value.
+ */
+function jsxtv_is_in( $value, $list ) {
+	if ( ! is_array( $list ) ) {
+		return false;
+	}
+	foreach ( $list as $item ) {
+		if ( jsxtv_is_equal( $item, $value ) ) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Render the block of a condition helper if the test passes, or return the result of the test when
+ * the helper is used as a subexpression.
+ *
+ * @param bool  $result  The result of the test.
+ * @param array $options The helper options.
+ * @return mixed The rendered block or the result.
+ */
+function jsxtv_condition( $result, $options ) {
+	// Subexpressions don't have a block to render.
+	if ( ! isset( $options['fn'] ) ) {
+		return $result;
+	}
+	if ( $result ) {
+		return $options['fn']();
+	}
+	return isset( $options['inverse'] ) ? $options['inverse']() : '';
+}
+
+/**
+ * Get the results of the conditions passed to a group helper (the last arg is the helper options).
+ *
+ * @param array $args The helper args.
+ * @return array The conditions and the options.
+ */
+function jsxtv_group_args( $args ) {
+	$options = array_pop( $args );
+	return array( array_map( 'jsxtv_is_truthy', $args ), $options );
+}
+
+function jsxtv_if_truthy( $value, $options ) {
+	return jsxtv_condition( jsxtv_is_truthy( $value ), $options );
+}
+
+function jsxtv_if_falsy( $value, $options ) {
+	return jsxtv_condition( ! jsxtv_is_truthy( $value ), $options );
+}
+
+function jsxtv_if_equal( $a, $b, $options ) {
+	return jsxtv_condition( jsxtv_is_equal( $a, $b ), $options );
+}
+
+function jsxtv_if_not_equal( $a, $b, $options ) {
+	return jsxtv_condition( ! jsxtv_is_equal( $a, $b ), $options );
+}
+
+function jsxtv_if_greater( $a, $b, $options ) {
+	return jsxtv_condition( $a > $b, $options );
+}
+
+function jsxtv_if_greater_equal( $a, $b, $options ) {
+	return jsxtv_condition( $a >= $b, $options );
+}
+
+function jsxtv_if_less( $a, $b, $options ) {
+	return jsxtv_condition( $a < $b, $options );
+}
+
+function jsxtv_if_less_equal( $a, $b, $options ) {
+	return jsxtv_condition( $a <= $b, $options );
+}
+
+function jsxtv_if_in( $value, $list, $options ) {
+	return jsxtv_condition( jsxtv_is_in( $value, $list ), $options );
+}
+
+function jsxtv_if_not_in( $value, $list, $options ) {
+	return jsxtv_condition( ! jsxtv_is_in( $value, $list ), $options );
+}
+
+function jsxtv_if_all() {
+	list( $conditions, $options ) = jsxtv_group_args( func_get_args() );
+	return jsxtv_condition( ! in_array( false, $conditions, true ), $options );
+}
+
+function jsxtv_if_any() {
+	list( $conditions, $options ) = jsxtv_group_args( func_get_args() );
+	return jsxtv_condition( in_array( true, $conditions, true ), $options );
+}
+
+function jsxtv_if_not_all() {
+	list( $conditions, $options ) = jsxtv_group_args( func_get_args() );
+	return jsxtv_condition( in_array( false, $conditions, true ), $options );
+}
+
+function jsxtv_if_not_any() {
+	list( $conditions, $options ) = jsxtv_group_args( func_get_args() );
+	return jsxtv_condition( ! in_array( true, $conditions, true ), $options );
+}
+
+/**
+ * Remove unsafe URL schemes (the result is HTML escaped by Handlebars).
+ */
+function jsxtv_escape_url( $value ) {
+	return preg_replace( '/^\s*(javascript|vbscript|data):.*/is', '', (string) $value );
+}
+
+/**
+ * Only allow characters that can't break out of a CSS value.
+ */
+function jsxtv_escape_css( $value ) {
+	return preg_replace( '/[^\w\s#%.,()\-]/', '', (string) $value );
+}
+
+/**
+ * Output a JS literal that is safe to use in inline scripts (used with `{{{ }}}`).
+ */
+function jsxtv_escape_js( $value ) {
+	return json_encode( $value, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT );
+}
+
+/**
+ * Get the helpers, keyed by the helper names used in the templates.
+ *
+ * @return array The helper function names, keyed by helper name.
+ */
+function jsxtv_handlebars_helpers() {
+	$names = array(
+		'if_truthy',
+		'if_falsy',
+		'if_equal',
+		'if_not_equal',
+		'if_greater',
+		'if_greater_equal',
+		'if_less',
+		'if_less_equal',
+		'if_in',
+		'if_not_in',
+		'if_all',
+		'if_any',
+		'if_not_all',
+		'if_not_any',
+		'escape_url',
+		'escape_css',
+		'escape_js',
+	);
+	$helpers = array();
+	foreach ( $names as $name ) {
+		$helpers[ $name ] = 'jsxtv_' . $name;
+	}
+	return $helpers;
+}
@@ -2,9 +2,75 @@
 // For now we can categories as replace, list and control
 // But we should look at another structure in the future.
 
-// The main language object the currently used language is stored in
-// const language = ...;
-// Which will be injected above here by the template vars plugin.
+// The currently used language is assigned to `globalThis.templateVarsLanguage`
+// by the template vars plugin (so it works in browsers, Node and workers).
+
+/**
+ * Gets the current language (injected by the template vars plugin).
+ *
+ * @returns {Object} The language.
+ */
+function getLanguage() {
+	return globalThis.templateVarsLanguage ?? {};
+}
+
+/**
+ * Language neutral markers.
+ *
+ * When building for several languages (see the `languages` option of the plugin), the language is
+ * neutral and the language functions output markers instead of template tags - each marker records the
+ * call, so it can be expanded into the template tags of each language after rendering, eg
+ * `{{jsxtv:%5B%22replace%22...%5D}}`.
+ *
+ * Markers are URI encoded (including quotes), so they are not escaped when rendered in text or attributes.
+ */
+const markerRegex = /\{\{jsxtv:([^{}\s]*)\}\}/g;
+
+/**
+ * Check if the language is neutral, so markers should be output.
+ *
+ * @returns {Boolean} Whether the language is neutral.
+ */
+function isNeutralLanguage() {
+	return getLanguage().neutral === true;
+}
+/**
+ * Create a marker for a call to a language function.
+ *
+ * @param {String} type The language function type (replace, list or control).
+ * @param {Array} args The args the function was called with.
+ * @returns {String} The marker.
+ */
+function createMarker( type, args ) {
+	return `{{jsxtv:${ encodeURIComponent( JSON.stringify( [ type, ...args ] ) ).replace( /'/g, '%27' ) }}}`;
+}
+/**
+ * Whether markers are being expanded - default text is escaped then, as the markup has already been
+ * rendered (otherwise it's escaped by the renderer).
+ */
+let isExpandingMarkers = false;
+/**
+ * Expand the markers in rendered markup into the template tags of the current language.
+ *
+ * @param {String} markup The markup with markers.
+ * @returns {String} The markup with template tags.
+ */
+export function expandLanguageMarkers( markup ) {
+	const languageFunctions = {
+		replace: getLanguageReplace,
+		list: getLanguageList,
+		control: getLanguageControl,
+	};
+	isExpandingMarkers = true;
+	try {
+		return markup.replace( markerRegex, ( match, data ) => {
+			const [ type, ...args ] = JSON.parse( decodeURIComponent( data ) );
+			return languageFunctions[ type ] ? languageFunctions[ type ]( ...args ) : '';
+		} );
+	} finally {
+		isExpandingMarkers = false;
+	}
+}
 
 /**
  * Detering if a arg is an identifier or string, by checking the first
@@ -23,6 +89,112 @@ function isArgString( arg ) {
 function getVariableString( arg, context ) {
 	return getLanguageString( 'variable', [], [], context ).replace( "||%v||", arg );
 }
+/**
+ * Joins the parts of a dot path var (eg `user.address.city`) with the languages path separator,
+ * so nested properties can be looked up - eg `$data['user']['address']['city']` in PHP.
+ *
+ * @param {String} path The dot path.
+ * @returns {String} The path joined with the path separator.
+ */
+function getPathString( path ) {
+	const separator = getLanguage().pathSeparator ?? '.';
+	return path.split( '.' ).join( separator );
+}
+/**
+ * Gets a default value to be output as text in the markup.
+ *
+ * The text is escaped by the renderer (like any other text), so it's only escaped here when
+ * expanding markers in markup that has already been rendered.
+ *
+ * @param {*} value The default value.
+ * @returns {String} The text.
+ */
+function getDefaultText( value ) {
+	if ( ! isExpandingMarkers ) {
+		return String( value );
+	}
+	const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+	return String( value ).replace( /[&<>"']/g, ( char ) => entities[ char ] );
+}
+/**
+ * Formats a default value as a literal, for use in code (eg `'Guest'` or `[ 'a', 'b' ]`).
+ *
+ * The format is valid in both PHP and JS.
+ *
+ * @param {*} value The default value.
+ * @returns {String} The literal.
+ */
+function getDefaultLiteral( value ) {
+	if ( Array.isArray( value ) ) {
+		return value.length ? `[ ${ value.map( getDefaultLiteral ).join( ', ' ) } ]` : '[]';
+	}
+	if ( typeof value === 'string' ) {
+		return `'${ value.replace( /\\/g, '\\\\' ).replace( /'/g, "\\'" ) }'`;
+	}
+	if ( value === null || value === undefined ) {
+		return 'null';
+	}
+	return String( value );
+}
+/**
+ * Builds the args for a language string - the arg is repeated for each variable tag (so the variable
+ * can be used more than once, eg `{{#if name}}{{name}}{{else}}Guest{{/if}}`), and any default value,
+ * formatter, list loop name or parent count is added as a `default`, `formatter`, `as` or `parents` arg.
+ *
+ * @param {String} languageString The language string.
+ * @param {Object} arg The arg.
+ * @returns {Array} The args.
+ */
+function getVariableArgs( languageString, arg ) {
+	const variableCount = ( languageString.match( /\[%(_variable_|variable|subvariable)\]/g ) ?? [] ).length;
+	const args = Array( Math.max( variableCount, 1 ) ).fill( arg );
+	if ( arg && arg.default !== undefined ) {
+		args.push( { type: 'default', value: arg.default } );
+	}
+	if ( arg && arg.formatter ) {
+		args.push( { type: 'formatter', value: arg.formatter } );
+	}
+	if ( arg && arg.as ) {
+		args.push( { type: 'as', value: arg.as } );
+	}
+	if ( arg && arg.parents ) {
+		args.push( { type: 'parents', value: arg.parents } );
+	}
+	return args;
+}
+/**
+ * Gets the target of a language string, using the `...WithDefault` version when the arg has a default
+ * value (and the language supports it).
+ *
+ * @param {Object} languagePart The language part, eg `replace` or `list`.
+ * @param {String} target The target.
+ * @param {Object} arg The arg.
+ * @returns {String} The target.
+ */
+function getDefaultTarget( languagePart, target, arg ) {
+	if ( arg && arg.default !== undefined && languagePart[ `${ target }WithDefault` ] ) {
+		return `${ target }WithDefault`;
+	}
+	return target;
+}
+/**
+ * Gets the name of a context (the data var of the root or of a list loop).
+ *
+ * The context is the list of the context names, starting with the root data name, eg
+ * `[ 'data', 'color' ]` inside a loop of `colors` with `as: 'color'` - loops without a name
+ * default to the root name with the loop depth, eg `data_1`.
+ *
+ * @param {Array} context The context names.
+ * @param {Number} index The index of the context.
+ * @returns {String} The context name.
+ */
+function getContextName( context, index ) {
+	const rootName = context[ 0 ] ?? 'data';
+	if ( index === 0 ) {
+		return rootName;
+	}
+	return context[ index ] ?? `${ rootName }_${ index }`;
+}
 /**
  * Replaces tokens such as ||%1|| and ||%2|| with the arguments passed in.
  *
@@ -40,11 +212,35 @@ export function createLanguageString( string, argsArray, context, tags = {} ) {
 
 		// Built in tags
 		if ( tagName === '_context_' ) {
-			return context === 0 ? 'data' : `data_${ context }`;
+			return getContextName( context, context.length - 1 );
 		} else if ( tagName === '_subcontext_' ) {
-			return `data_${ context + 1 }`;
+			// The loop var of a list can be named with its `as` option.
+			const asArg = argsArray.find( ( arg ) => arg?.type === 'as' );
+			return asArg ? asArg.value : getContextName( context, context.length );
+		} else if ( tagName === '_conditions_' ) {
+			// The conditions of a group have already been rendered (see `getLanguageControl`).
+			const returnArg = argsArray.shift();
+			return returnArg.value;
+		} else if ( tagName === '_default_' || tagName === '_default_literal_' ) {
+			// Defaults are not consumed, so they can be used anywhere in the string.
+			const defaultArg = argsArray.find( ( arg ) => arg.type === 'default' );
+			if ( ! defaultArg ) {
+				return '';
+			}
+			return tagName === '_default_' ? getDefaultText( defaultArg.value ) : getDefaultLiteral( defaultArg.value );
+		} else if ( tagName === '_parent_' ) {
+			// Lists referenced from inside a loop (eg `colors.length` in `colors.map()`) are looked up from the
+			// context of the list, for languages where loops change the context (eg `../` in Handlebars).
+			const parentsArg = argsArray.find( ( arg ) => arg.type === 'parents' );
+			return parentsArg ? ( getLanguage().parentPath ?? '' ).repeat( parentsArg.value ) : '';
+		} else if ( tagName === '_formatter_' ) {
+			const formatterArg = argsArray.find( ( arg ) => arg.type === 'formatter' );
+			return formatterArg ? formatterArg.value : '';
 		} else if ( tagName === '_variable_' ) {
 			const returnArg = argsArray.shift();
+			if ( returnArg.type === 'identifier' ) {
+				return getPathString( returnArg.value );
+			}
 			return returnArg.value;
 		}
 
@@ -79,24 +275,101 @@ export function createLanguageString( string, argsArray, context, tags = {} ) {
  * @returns {String} The string with the arguments replaced
  */
  export function getLanguageString( targetPath = [], argsArray = [], context ) {
-	let languagePart = window.templateVarsLanguage;
+	let languagePart = getLanguage();
 	targetPath.forEach( ( target, index ) => {
 		if ( languagePart[ target ] ) {
 			languagePart = languagePart[ target ];
 		}
 	} );
 
-	return createLanguageString( languagePart, [ ...argsArray ], context, window.templateVarsLanguage['variables'] );
+	return createLanguageString( languagePart, [ ...argsArray ], context, getLanguage()['variables'] );
 }
 
 export function getLanguageReplace( target, arg, context ) {
-	return getLanguageString( [ 'replace', target ], [ arg ], context );
+	if ( isNeutralLanguage() ) {
+		return createMarker( 'replace', [ target, arg, context ] );
+	}
+	const { replace } = getLanguage();
+	// Languages don't need to support every replace format, fallback to `format`.
+	let replaceTarget = replace[ target ] ? target : 'format';
+	// Formatted vars use the language `formatter` in text and attributes.
+	if ( arg.formatter && replace.formatter && [ 'format', 'attribute' ].includes( replaceTarget ) ) {
+		replaceTarget = 'formatter';
+	}
+	replaceTarget = getDefaultTarget( replace, replaceTarget, arg );
+	return getLanguageString( [ 'replace', replaceTarget ], getVariableArgs( replace[ replaceTarget ], arg ), context );
 }
 
 export function getLanguageList( target, arg, context ) {
-	return getLanguageString( [ 'list', target ], [ arg ], context );
+	if ( isNeutralLanguage() ) {
+		return createMarker( 'list', [ target, arg, context ] );
+	}
+	const { list } = getLanguage();
+	// Targets can be a path for list statements, eg `[ 'ifFirst', 'open' ]`.
+	const [ listTarget, ...subTargets ] = Array.isArray( target ) ? target : [ target ];
+	const targets = [ getDefaultTarget( list, listTarget, arg ), ...subTargets ];
+	const languageString = targets.reduce( ( languagePart, part ) => languagePart?.[ part ], list );
+	// Languages don't need to support every list string (eg list metadata).
+	if ( typeof languageString !== 'string' ) {
+		return '';
+	}
+	return getLanguageString( [ 'list', ...targets ], getVariableArgs( languageString, arg ), context );
+}
+
+/**
+ * Renders a style object as the value of a `style` attribute, the same way as React (and the static compiler),
+ * eg `{ fontSize: 12, color: '{{escape_css color}}' }` becomes `font-size:12px;color:{{escape_css color}}`.
+ *
+ * Template tags are not valid CSS values, so the DOM drops them from the `style` attribute - elements with
+ * a style object are also rendered with a `jsxtv_style` attribute (see `controller.js`), which replaces the
+ * `style` attribute when the markup is tidied.
+ *
+ * @param {Object} style The style object.
+ * @returns {String} The attribute value.
+ */
+export function getStyleAttribute( style ) {
+	const unitlessStyles = [ 'opacity', 'zIndex', 'fontWeight', 'lineHeight', 'flex', 'flexGrow', 'flexShrink', 'order', 'zoom' ];
+	return Object.entries( style ?? {} )
+		.filter( ( [ , value ] ) => value !== null && value !== undefined && value !== '' && typeof value !== 'boolean' )
+		.map( ( [ property, value ] ) => {
+			const cssProperty = property.startsWith( '--' ) ? property : property.replace( /[A-Z]/g, ( char ) => `-${ char.toLowerCase() }` );
+			const cssValue = typeof value === 'number' && value !== 0 && ! unitlessStyles.includes( property ) ? `${ value }px` : value;
+			return `${ cssProperty }:${ cssValue }`;
+		} )
+		.join( ';' );
 }
 
 export function getLanguageControl( targets, args, context ) {
-	return getLanguageString( [ 'control', ...targets ], args, context );
+	if ( isNeutralLanguage() ) {
+		return createMarker( 'control', [ targets, args, context ] );
+	}
+	// Conditions on list metadata (eg `ifFirst` or `ifEmpty`) use the list strings, in the context of the list.
+	const listArg = args.find( ( arg ) => arg.type === 'list' );
+	if ( listArg ) {
+		return getLanguageList( targets, { ...listArg, type: 'identifier' }, listArg.context ?? context );
+	}
+	return getLanguageString( [ 'control', ...targets ], getControlGroupArgs( targets[ 0 ], args, context ), context );
+}
+
+/**
+ * Renders the conditions of group statements (eg `ifAny`), each condition uses the `condition`
+ * string of its statement type, and they are joined with the `separator` of the group.
+ *
+ * @param {String} statementType The statement type.
+ * @param {Array} args The arguments.
+ * @param {Array} context The context names.
+ * @returns {Array} The arguments with any conditions rendered.
+ */
+function getControlGroupArgs( statementType, args, context ) {
+	const statement = getLanguage().control?.[ statementType ];
+	const separator = statement?.separator ?? ' ';
+	return args.map( ( arg ) => {
+		if ( arg.type !== 'conditions' ) {
+			return arg;
+		}
+		const conditions = arg.value.map( ( condition ) => {
+			return getLanguageControl( [ condition.statementType, 'condition' ], condition.args, context );
+		} );
+		return { type: 'conditions', value: conditions.join( separator ) };
+	} );
 }
@@ -0,0 +1,157 @@
+/**
+ * Builds a JSON manifest (a data contract) of the template vars used by each component.
+ *
+ * The manifest lists each component with its source file/line and its template vars (names, types,
+ * list child shapes and aliases), so the server can validate its data or generate fixtures from it.
+ *
+ * Components are tracked per file, and merged with any existing manifest on disk when it is written,
+ * so re-transforming a single file (eg in watch mode) only updates the components from that file.
+ */
+const fs = require( 'fs' );
+const path = require( 'path' );
+const { isRawVar } = require( './utils' );
+const diagnostics = require( './diagnostics' );
+
+const defaultManifestPath = './template-vars-manifest.json';
+
+// The components found in the current build, keyed by filename.
+const fileComponents = {};
+
+/**
+ * Get the manifest path from the plugin config.
+ *
+ * @param {Object} config The plugin config.
+ * @returns {String|null} The manifest path or null if the manifest is disabled.
+ */
+function getManifestPath( config ) {
+	if ( ! config.manifest ) {
+		return null;
+	}
+	return config.manifest === true ? defaultManifestPath : config.manifest;
+}
+
+/**
+ * Get the relative path of a file (from the current working directory) for use in the manifest.
+ *
+ * @param {String} filename The absolute filename.
+ * @returns {String} The relative filename.
+ */
+function getRelativeFilename( filename ) {
+	if ( ! filename ) {
+		return '';
+	}
+	return path.relative( process.cwd(), filename ).split( path.sep ).join( '/' );
+}
+
+/**
+ * Describe the child of a list var, including any nested lists.
+ *
+ * @param {Object} child The list child config.
+ * @returns {Object} The child description.
+ */
+function describeListChild( child ) {
+	if ( child && child.type === 'object' ) {
+		const props = ( child.props ?? [] ).map( ( prop ) => {
+			const [ propName, propConfig = {} ] = Array.isArray( prop ) ? prop : [ prop, {} ];
+			return describeVar( propName, propConfig, propConfig.type ?? 'replace' );
+		} );
+		return { type: 'object', props };
+	}
+	return { type: 'primitive' };
+}
+
+/**
+ * Describe a template var for the manifest.
+ *
+ * @param {String} varName The var name.
+ * @param {Object} varConfig The var config.
+ * @param {String} type The var type (replace, control, list).
+ * @returns {Object} The var description.
+ */
+function describeVar( varName, varConfig, type ) {
+	const { type: configType, child, ...options } = varConfig;
+	const description = { name: varName, type, ...options };
+	// Flag unescaped vars, the data for these must be sanitised by the server (XSS sensitive).
+	if ( type === 'replace' && isRawVar( varConfig ) ) {
+		description.unescaped = true;
+	}
+	if ( type === 'list' ) {
+		description.child = describeListChild( child );
+	}
+	return description;
+}
+
+/**
+ * Clear the components of a file, before it is (re)transformed.
+ *
+ * @param {String} filename The filename.
+ */
+function clearFile( filename ) {
+	fileComponents[ getRelativeFilename( filename ) ] = [];
+}
+
+/**
+ * Add a component and its template vars to the manifest.
+ *
+ * @param {Object} templateVars The template vars, as returned by the visitor.
+ * @param {Object} source The component source - `name`, `filename` and `line`.
+ */
+function addComponent( templateVars, { name, filename, line } ) {
+	const file = getRelativeFilename( filename );
+	if ( ! fileComponents[ file ] ) {
+		fileComponents[ file ] = [];
+	}
+	const vars = [];
+	[ 'replace', 'control', 'list' ].forEach( ( type ) => {
+		templateVars[ type ].forEach( ( [ varName, varConfig ] ) => {
+			vars.push( describeVar( varName, varConfig, type ) );
+		} );
+	} );
+	fileComponents[ file ].push( { name, file, line, vars } );
+}
+
+/**
+ * Read the components from an existing manifest.
+ *
+ * @param {String} manifestPath The manifest path.
+ * @returns {Array} The components.
+ */
+function readManifestComponents( manifestPath ) {
+	try {
+		const manifest = JSON.parse( fs.readFileSync( manifestPath, { encoding: 'utf8' } ) );
+		return Array.isArray( manifest.components ) ? manifest.components : [];
+	} catch ( err ) {
+		return [];
+	}
+}
+
+/**
+ * Write the manifest, merging the components found in this build with the existing manifest.
+ *
+ * @param {String} manifestPath The manifest path.
+ * @param {Object} config The plugin config.
+ */
+function writeManifest( manifestPath, config ) {
+	const buildFiles = Object.keys( fileComponents );
+	const existingComponents = readManifestComponents( manifestPath ).filter( ( component ) => {
+		return ! buildFiles.includes( component.file );
+	} );
+	const components = [ ...existingComponents, ...Object.values( fileComponents ).flat() ];
+	components.sort( ( a, b ) => {
+		return a.file.localeCompare( b.file ) || a.line - b.line;
+	} );
+
+	try {
+		fs.mkdirSync( path.dirname( manifestPath ), { recursive: true } );
+		fs.writeFileSync( manifestPath, JSON.stringify( { components }, null, '\t' ) + '\n' );
+	} catch ( err ) {
+		diagnostics.report( null, `The manifest \`${ manifestPath }\` could not be written: ${ err.message }`, config );
+	}
+}
+
+module.exports = {
+	getManifestPath,
+	clearFile,
+	addComponent,
+	writeManifest,
+};
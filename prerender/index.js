@@ -0,0 +1,153 @@
+/**
+ * Runs a pre-render bundle (built with this plugin) and writes the rendered markup to a template file.
+ *
+ * Supports two modes:
+ * - `jsdom` (default) - loads the bundle in jsdom (like a browser would) and captures the markup
+ *    of the root element once rendered.
+ * - `node` - requires the bundle in Node, it should export a function (`default` or `render`) that
+ *    returns the markup, eg using `renderToString`.
+ *
+ * The markup is then tidied (see `./markup`) and written to the output file (eg `.hbs` or `.php`).
+ *
+ * Bundles built for several languages (with the `languages` option of the plugin) render language neutral
+ * markers, which are expanded into a template for each language, eg `app.php` and `app.hbs`.
+ */
+const fs = require( 'fs' );
+const path = require( 'path' );
+const { tidyMarkup } = require( './markup' );
+const { loadLanguageRuntimes, getLanguageExtension, expandMarkers } = require( '../runtime' );
+
+const defaultHtml = '<!DOCTYPE html><html><head></head><body><div id="app"></div></body></html>';
+
+/**
+ * Render the bundle in jsdom and return the markup of the root element.
+ *
+ * @param {String} bundlePath The path to the pre-render bundle.
+ * @param {Object} options The render options.
+ * @returns {Promise<String>} The rendered markup.
+ */
+async function renderWithJsdom( bundlePath, options ) {
+	let JSDOM;
+	try {
+		( { JSDOM } = require( 'jsdom' ) );
+	} catch ( err ) {
+		throw new Error( 'The `jsdom` package is required to pre-render in jsdom mode, install it with `npm install jsdom --save-dev`.' );
+	}
+
+	const html = options.html ? fs.readFileSync( options.html, { encoding: 'utf8' } ) : defaultHtml;
+	const dom = new JSDOM( html, {
+		runScripts: 'outside-only',
+		pretendToBeVisual: true,
+		url: options.url ?? 'http://localhost/',
+	} );
+	const { window } = dom;
+
+	window.eval( fs.readFileSync( bundlePath, { encoding: 'utf8' } ) );
+
+	// Give the app a chance to finish rendering (eg effects or async rendering).
+	await new Promise( ( resolve ) => window.setTimeout( resolve, options.wait ?? 0 ) );
+
+	const rootElement = window.document.querySelector( options.selector ?? '#app' );
+	if ( ! rootElement ) {
+		window.close();
+		throw new Error( `Could not find the root element \`${ options.selector ?? '#app' }\` in the rendered document.` );
+	}
+	const markup = options.outer ? rootElement.outerHTML : rootElement.innerHTML;
+	window.close();
+	return markup;
+}
+
+/**
+ * Render the bundle in Node, via the render function it exports.
+ *
+ * @param {String} bundlePath The path to the pre-render bundle.
+ * @returns {Promise<String>} The rendered markup.
+ */
+async function renderWithNode( bundlePath ) {
+	const bundle = require( path.resolve( bundlePath ) );
+	const render = typeof bundle === 'function' ? bundle : ( bundle.render ?? bundle.default );
+	if ( typeof render !== 'function' ) {
+		throw new Error( 'In node mode the bundle must export a function (`default` or `render`) that returns the rendered markup.' );
+	}
+	const markup = await render();
+	if ( typeof markup !== 'string' ) {
+		throw new Error( 'The render function exported by the bundle must return the rendered markup as a string.' );
+	}
+	return markup;
+}
+
+/**
+ * Get the output path of the template of a language, replacing the extension of the output path with
+ * the extension of the language, eg `templates/app.hbs` for Handlebars.
+ *
+ * @param {String} output The output path.
+ * @param {String} name The language name.
+ * @returns {String} The output path of the language.
+ */
+function getLanguageOutput( output, name ) {
+	const basename = path.basename( output, path.extname( output ) );
+	return path.join( path.dirname( output ), `${ basename }.${ getLanguageExtension( name ) }` );
+}
+
+/**
+ * Write a template file.
+ *
+ * @param {String} output The path of the template file.
+ * @param {String} template The template.
+ */
+function writeTemplate( output, template ) {
+	fs.mkdirSync( path.dirname( output ), { recursive: true } );
+	fs.writeFileSync( output, template );
+}
+
+/**
+ * Pre-render a bundle and (optionally) write the template to a file.
+ *
+ * @param {Object} options The options.
+ * @param {String} options.bundle The path to the pre-render bundle.
+ * @param {String} [options.output] The path of the template file to write, eg `templates/app.php`.
+ * @param {String} [options.mode] The render mode, `jsdom` (default) or `node`.
+ * @param {String} [options.html] The path to an html file to load the bundle into (jsdom mode).
+ * @param {String} [options.selector] The selector of the root element to capture (jsdom mode), defaults to `#app`.
+ * @param {Boolean} [options.outer] Capture the root element itself, not just its contents (jsdom mode).
+ * @param {Number} [options.wait] Time in ms to wait for rendering to finish (jsdom mode).
+ * @param {String} [options.url] The url of the document (jsdom mode).
+ * @param {Array} [options.languages] The languages the bundle was built for (names or paths), the output path
+ *                                    is used for each language with the extension of the language.
+ * @returns {Promise<String|Object>} The template markup, or the templates keyed by language name.
+ */
+async function prerender( options ) {
+	if ( ! options || ! options.bundle ) {
+		throw new Error( 'A pre-render bundle is required.' );
+	}
+	const mode = options.mode ?? 'jsdom';
+	let markup;
+	if ( mode === 'jsdom' ) {
+		markup = await renderWithJsdom( options.bundle, options );
+	} else if ( mode === 'node' ) {
+		markup = await renderWithNode( options.bundle );
+	} else {
+		throw new Error( `Unknown pre-render mode \`${ mode }\`, use \`jsdom\` or \`node\`.` );
+	}
+
+	const template = tidyMarkup( markup );
+	if ( options.languages?.length ) {
+		const templates = {};
+		expandMarkers( template, loadLanguageRuntimes( options.languages ) ).forEach( ( { name, template: languageTemplate } ) => {
+			templates[ name ] = languageTemplate;
+			if ( options.output ) {
+				writeTemplate( getLanguageOutput( options.output, name ), languageTemplate );
+			}
+		} );
+		return templates;
+	}
+	if ( options.output ) {
+		writeTemplate( options.output, template );
+	}
+	return template;
+}
+
+module.exports = {
+	prerender,
+	tidyMarkup,
+};
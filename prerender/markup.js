@@ -0,0 +1,93 @@
+/**
+ * Tidies the markup captured from a pre-render, so it can be saved as a template file.
+ *
+ * - Restores template tags (PHP and Handlebars) that were escaped when the markup was serialised.
+ * - Converts `jsxtv_*` attributes back to their real attributes (see the `jsxtv_value` workaround
+ *   for text inputs in `controller.js`).
+ */
+
+// Entities that are added when serialising the DOM (or by `renderToString`).
+const entities = {
+	'&amp;': '&',
+	'&lt;': '<',
+	'&gt;': '>',
+	'&quot;': '"',
+	'&#39;': "'",
+	'&#x27;': "'",
+	'&#x2F;': '/',
+	'&nbsp;': ' ',
+};
+
+/**
+ * Decode the entities added by the serialiser.
+ *
+ * @param {String} str The string to decode.
+ * @returns {String} The decoded string.
+ */
+function decodeEntities( str ) {
+	return str.replace( /&(?:amp|lt|gt|quot|nbsp|#39|#x27|#x2F);/g, ( entity ) => entities[ entity ] );
+}
+
+/**
+ * Restore template tags which have been escaped, eg `&lt;?php echo $data['name']; ?&gt;` or
+ * `{{#if_equal type &quot;a&quot;}}`.
+ *
+ * PHP tags set with `innerHTML` (eg raw vars) are parsed as comments, eg `<!--?php echo $data['body']; ?-->`.
+ *
+ * @param {String} markup The markup.
+ * @returns {String} The markup with the template tags restored.
+ */
+function restoreTemplateTags( markup ) {
+	return markup
+		.replace( /(?:<!--|<|&lt;)\?php([\s\S]*?)\?(?:-->|>|&gt;)/g, ( match, code ) => `<?php${ decodeEntities( code ) }?>` )
+		.replace( /\{\{([\s\S]*?)\}\}/g, ( match, tag ) => `{{${ decodeEntities( tag ) }}}` );
+}
+
+/**
+ * Convert `jsxtv_*` attributes back to the attributes they were copied from, replacing
+ * the original attribute (which the browser may not have kept up to date), eg:
+ * `<input value="" jsxtv_value="{{name}}">` becomes `<input value="{{name}}">`.
+ *
+ * @param {String} markup The markup.
+ * @returns {String} The markup with the attributes converted.
+ */
+function convertAttributes( markup ) {
+	return markup.replace( /<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g, ( tag, tagName, attributes, selfClosing ) => {
+		if ( ! attributes.includes( 'jsxtv_' ) ) {
+			return tag;
+		}
+		const attributeRegex = /\s+([^\s=\/>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+		const parsedAttributes = [];
+		let match;
+		while ( ( match = attributeRegex.exec( attributes ) ) !== null ) {
+			parsedAttributes.push( { name: match[ 1 ], value: match[ 2 ] } );
+		}
+		const replacedNames = parsedAttributes
+			.filter( ( attribute ) => attribute.name.startsWith( 'jsxtv_' ) )
+			.map( ( attribute ) => attribute.name.substring( 'jsxtv_'.length ) );
+
+		const newAttributes = parsedAttributes
+			.filter( ( attribute ) => ! replacedNames.includes( attribute.name ) )
+			.map( ( attribute ) => {
+				const name = attribute.name.startsWith( 'jsxtv_' ) ? attribute.name.substring( 'jsxtv_'.length ) : attribute.name;
+				return attribute.value === undefined ? ` ${ name }` : ` ${ name }=${ attribute.value }`;
+			} );
+		return `<${ tagName }${ newAttributes.join( '' ) }${ selfClosing }>`;
+	} );
+}
+
+/**
+ * Tidy the captured markup, ready to be saved as a template.
+ *
+ * @param {String} markup The captured markup.
+ * @returns {String} The template markup.
+ */
+function tidyMarkup( markup ) {
+	return restoreTemplateTags( convertAttributes( markup ) );
+}
+
+module.exports = {
+	convertAttributes,
+	restoreTemplateTags,
+	tidyMarkup,
+};
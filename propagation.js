@@ -0,0 +1,472 @@
+/**
+ * Follows template vars across component boundaries (when the `propagate` option is set).
+ *
+ * When a component passes a template var to a child component as a prop, eg `<Avatar name={ name } />`,
+ * the prop becomes a template var of the child - it reads the data of the parent var (set as `from` in the
+ * var config), in the context the child is rendered in. List item props passed to components rendered in a
+ * list are followed too, eg `colors.map( ( color ) => <Swatch label={ color.label } /> )`.
+ *
+ * The components of a file are transformed once they have all been found. A child is rendered with the same
+ * template for every element that renders it, so its props are only followed when all of those elements are
+ * known (components declared in the same file, that are not exported or used other than as an element) and
+ * each one passes the same template vars.
+ */
+const {
+	getComponentFunctionPath,
+	getHocs,
+	getHocConfig,
+	getMemberExpressionPath,
+	getVarDataPath,
+	unwrapTSExpression,
+} = require( './utils' );
+const diagnostics = require( './diagnostics' );
+
+// Props that are only used by React.
+const ignoredProps = [ 'key', 'ref' ];
+
+/**
+ * Check if a component is exported from its file, eg `export const Avatar = ...` or `export default Avatar`.
+ *
+ * @param {Object} componentPath The component path.
+ * @param {Object} types The babel types object.
+ * @returns {Boolean} Whether the component is exported.
+ */
+function isExported( componentPath, types ) {
+	const statementPath = types.isVariableDeclarator( componentPath.node ) ? componentPath.parentPath : componentPath;
+	return types.isExportNamedDeclaration( statementPath.parent ) || types.isExportDefaultDeclaration( statementPath.parent );
+}
+
+/**
+ * Get the elements that render a component in its file, eg `<Avatar name={ name } />`.
+ *
+ * Components that are exported (including with `export default Avatar` or `export { Avatar }`), or used
+ * other than as an element (eg `memo( Avatar )`), can be rendered with other props, so they have no known
+ * elements. Static properties, eg `Avatar.defaultProps = ...`, are not renders.
+ *
+ * @param {Object} component The component.
+ * @param {Object} types The babel types object.
+ * @returns {Array|null} The opening element paths, or null if they are not all known.
+ */
+function getComponentElements( component, types ) {
+	const { componentPath, componentName } = component;
+	const binding = componentName ? componentPath.parentPath.scope.getBinding( componentName ) : null;
+	if ( ! binding || binding.path.node !== componentPath.node || isExported( componentPath, types ) ) {
+		return null;
+	}
+	const elementPaths = [];
+	for ( const referencePath of binding.referencePaths ) {
+		const { parentPath } = referencePath;
+		if ( types.isJSXOpeningElement( parentPath.node ) ) {
+			elementPaths.push( parentPath );
+		} else if ( ! types.isJSXClosingElement( parentPath.node ) && ! isStaticPropertyAssignment( referencePath, types ) ) {
+			return null;
+		}
+	}
+	return elementPaths;
+}
+
+/**
+ * Check if a reference to a component assigns a static property, eg `Avatar.defaultProps = { ... }`.
+ *
+ * @param {Object} referencePath The reference path.
+ * @param {Object} types The babel types object.
+ * @returns {Boolean} Whether it's a static property assignment.
+ */
+function isStaticPropertyAssignment( referencePath, types ) {
+	const { parentPath } = referencePath;
+	return types.isMemberExpression( parentPath.node ) && parentPath.node.object === referencePath.node && types.isAssignmentExpression( parentPath.parent ) && parentPath.parent.left === parentPath.node;
+}
+
+/**
+ * Get the binding of the component a JSX element renders.
+ *
+ * @param {Object} elementPath The JSX opening element path.
+ * @returns {Object|null} The binding.
+ */
+function getElementBinding( elementPath ) {
+	return elementPath.scope.getBinding( elementPath.node.name.name ) ?? null;
+}
+
+/**
+ * Get the props param of a component render function (if any), HOCs can be configured to pass the props at
+ * a different position.
+ *
+ * @param {Object} functionPath The render function path.
+ * @param {Object} types The babel types object.
+ * @param {Object} hocs The HOC configs.
+ * @returns {Object|null} The param node.
+ */
+function getPropsParam( functionPath, types, hocs ) {
+	const hocConfig = getHocConfig( functionPath.parentPath.node, types, hocs );
+	const param = functionPath.node.params[ hocConfig ? hocConfig.propsParam : 0 ];
+	return types.isAssignmentPattern( param ) ? param.left : param ?? null;
+}
+
+/**
+ * Get the name the props object is read from, eg `props` or `this.props` (null if the props are destructured).
+ *
+ * @param {Object} functionPath The render function path.
+ * @param {Object} types The babel types object.
+ * @param {Object} hocs The HOC configs.
+ * @returns {String|null} The props name.
+ */
+function getPropsName( functionPath, types, hocs ) {
+	if ( types.isClassMethod( functionPath.node ) ) {
+		return 'this.props';
+	}
+	const param = getPropsParam( functionPath, types, hocs );
+	return types.isIdentifier( param ) ? param.name : null;
+}
+
+/**
+ * Get the name of the var a component reads a prop from - the destructured var, eg `( { name } )` or
+ * `const { name } = props;`, or the prop of the props object, eg `props.name`.
+ *
+ * @param {Object} functionPath The render function path.
+ * @param {String} propName The prop name.
+ * @param {Object} types The babel types object.
+ * @param {Object} hocs The HOC configs.
+ * @returns {String|null} The var name, or null if the prop is not read.
+ */
+function getPropVarName( functionPath, propName, types, hocs ) {
+	const propsName = getPropsName( functionPath, types, hocs );
+	const patterns = [];
+	const param = types.isClassMethod( functionPath.node ) ? null : getPropsParam( functionPath, types, hocs );
+	if ( types.isObjectPattern( param ) ) {
+		patterns.push( param );
+	} else if ( propsName && types.isBlockStatement( functionPath.node.body ) ) {
+		functionPath.node.body.body.filter( ( statement ) => types.isVariableDeclaration( statement ) ).forEach( ( statement ) => {
+			statement.declarations.forEach( ( declarator ) => {
+				if ( types.isObjectPattern( declarator.id ) && declarator.init && getMemberExpressionPath( declarator.init, types ) === propsName ) {
+					patterns.push( declarator.id );
+				}
+			} );
+		} );
+	}
+	for ( const pattern of patterns ) {
+		const property = pattern.properties.find( ( patternProperty ) => {
+			return types.isObjectProperty( patternProperty ) && ! patternProperty.computed && types.isIdentifier( patternProperty.key, { name: propName } );
+		} );
+		const value = types.isAssignmentPattern( property?.value ) ? property.value.left : property?.value;
+		if ( types.isIdentifier( value ) ) {
+			return value.name;
+		}
+	}
+	return propsName ? `${ propsName }.${ propName }` : null;
+}
+
+/**
+ * Get the `.map()` callbacks a JSX element is rendered in (innermost first).
+ *
+ * @param {Object} elementPath The JSX opening element path.
+ * @param {Object} functionPath The render function path.
+ * @param {Object} types The babel types object.
+ * @returns {Array} The callbacks - the callback node and the expression of the list being mapped.
+ */
+function getMapCallbacks( elementPath, functionPath, types ) {
+	const mapCallbacks = [];
+	let currentPath = elementPath;
+	while ( currentPath && currentPath !== functionPath ) {
+		const { node, parent } = currentPath;
+		if ( types.isFunction( node ) && types.isCallExpression( parent ) && parent.arguments[ 0 ] === node ) {
+			const { callee } = parent;
+			if ( types.isMemberExpression( callee ) && types.isIdentifier( callee.property, { name: 'map' } ) ) {
+				mapCallbacks.push( { callback: node, listExpression: unwrapTSExpression( callee.object ) } );
+			}
+		}
+		currentPath = currentPath.parentPath;
+	}
+	return mapCallbacks;
+}
+
+/**
+ * Get the name of the list item prop an expression refers to, eg `label` for `color.label` in
+ * `colors.map( ( color ) => ... )`, or `label` in `colors.map( ( { label } ) => ... )`.
+ *
+ * @param {String} expressionPath The dot path of the expression.
+ * @param {Object} callback The map callback node.
+ * @param {Object} types The babel types object.
+ * @returns {String|null} The item prop name.
+ */
+function getItemPropName( expressionPath, callback, types ) {
+	const [ itemParam ] = callback.params;
+	if ( types.isIdentifier( itemParam ) ) {
+		const [ itemName, propName, ...rest ] = expressionPath.split( '.' );
+		return itemName === itemParam.name && propName && ! rest.length ? propName : null;
+	}
+	if ( types.isObjectPattern( itemParam ) ) {
+		const property = itemParam.properties.find( ( patternProperty ) => {
+			return types.isObjectProperty( patternProperty ) && ! patternProperty.computed && types.isIdentifier( patternProperty.value, { name: expressionPath } );
+		} );
+		return types.isIdentifier( property?.key ) ? property.key.name : null;
+	}
+	return null;
+}
+
+/**
+ * Get the child props of a list, as an array of the prop name and config.
+ *
+ * @param {Object} listConfig The list var config.
+ * @returns {Array} The child props.
+ */
+function getListItemProps( listConfig ) {
+	const child = listConfig?.child;
+	if ( ! child || child.type !== 'object' ) {
+		return [];
+	}
+	return ( child.props ?? [] ).map( ( prop ) => Array.isArray( prop ) ? [ prop[ 0 ], prop[ 1 ] ?? {} ] : [ prop, {} ] );
+}
+
+/**
+ * Get the config of the list a `.map()` callback maps - a list var, or a nested list of the item of an
+ * outer list, eg `category.products.map(...)`.
+ *
+ * @param {Array} mapCallbacks The map callbacks (innermost first).
+ * @param {Array} vars The template vars of the component.
+ * @param {Object} types The babel types object.
+ * @returns {Object|null} The list config.
+ */
+function getMappedListConfig( mapCallbacks, vars, types ) {
+	const [ { listExpression }, ...outerMapCallbacks ] = mapCallbacks;
+	const listPath = getMemberExpressionPath( listExpression, types );
+	if ( ! listPath ) {
+		return null;
+	}
+	if ( ! outerMapCallbacks.length ) {
+		const listVar = vars.find( ( [ varName, varConfig ] ) => varConfig.type === 'list' && ( varName === listPath || varConfig.aliases?.includes( listPath ) ) );
+		return listVar ? listVar[ 1 ] : null;
+	}
+	const outerListConfig = getMappedListConfig( outerMapCallbacks, vars, types );
+	const itemPropName = getItemPropName( listPath, outerMapCallbacks[ 0 ].callback, types );
+	const itemProp = getListItemProps( outerListConfig ).find( ( [ propName, propConfig ] ) => propName === itemPropName && propConfig.type === 'list' );
+	return itemProp ? itemProp[ 1 ] : null;
+}
+
+/**
+ * Get the template vars passed by an expression, the vars that match the expression (or start with it, eg
+ * `user.name` is passed by `user`).
+ *
+ * @param {String} expressionPath The dot path of the expression.
+ * @param {Array} vars The template vars of the component.
+ * @param {String|null} propsName The props name of the component.
+ * @returns {Array} The passed vars - the path of the var under the prop and its config.
+ */
+function getPassedVars( expressionPath, vars, propsName ) {
+	return vars.filter( ( [ varName ] ) => varName === expressionPath || varName.startsWith( `${ expressionPath }.` ) ).map( ( [ varName, varConfig ] ) => {
+		// Aliases are names of vars in the parent component.
+		const { aliases, ...passedConfig } = varConfig;
+		return {
+			subPath: varName.substring( expressionPath.length ),
+			config: { ...passedConfig, from: getVarDataPath( varName, propsName, varConfig ) },
+		};
+	} );
+}
+
+/**
+ * Get the list item prop passed by an expression, in the `.map()` callback of a list.
+ *
+ * Item props are relative to the list item, which is the context components in the list are rendered in.
+ *
+ * @param {String} expressionPath The dot path of the expression.
+ * @param {Array} mapCallbacks The map callbacks the expression is in (innermost first).
+ * @param {Array} vars The template vars of the component.
+ * @param {Object} types The babel types object.
+ * @returns {Array} The passed vars.
+ */
+function getPassedItemVars( expressionPath, mapCallbacks, vars, types ) {
+	const itemPropName = getItemPropName( expressionPath, mapCallbacks[ 0 ].callback, types );
+	const itemProp = getListItemProps( getMappedListConfig( mapCallbacks, vars, types ) ).find( ( [ propName ] ) => propName === itemPropName );
+	if ( ! itemProp ) {
+		return [];
+	}
+	const [ propName, propConfig ] = itemProp;
+	return [ { subPath: '', config: { ...propConfig, from: propName } } ];
+}
+
+/**
+ * Find the template vars a component passes to components as props.
+ *
+ * Template vars of the component passed in a list can't be followed, as components in a list are rendered
+ * in the context of the list item - these are flagged as `unfollowed`.
+ *
+ * @param {Object} functionPath The render function path.
+ * @param {Array} vars The template vars of the component.
+ * @param {Object} types The babel types object.
+ * @param {Object} hocs The HOC configs.
+ * @returns {Array} The passed props - the element and attribute paths, the prop, and the passed var.
+ */
+function getPassedProps( functionPath, vars, types, hocs ) {
+	const propsName = getPropsName( functionPath, types, hocs );
+	const componentPassedProps = [];
+	functionPath.traverse( {
+		JSXOpeningElement( elementPath ) {
+			const elementName = elementPath.node.name;
+			if ( ! types.isJSXIdentifier( elementName ) || ! /^[A-Z]/.test( elementName.name ) ) {
+				return;
+			}
+			const mapCallbacks = getMapCallbacks( elementPath, functionPath, types );
+			elementPath.get( 'attributes' ).forEach( ( attributePath ) => {
+				const { node } = attributePath;
+				if ( ! types.isJSXAttribute( node ) || ! types.isJSXIdentifier( node.name ) || ignoredProps.includes( node.name.name ) || ! types.isJSXExpressionContainer( node.value ) ) {
+					return;
+				}
+				const expressionPath = getMemberExpressionPath( unwrapTSExpression( node.value.expression ), types );
+				if ( ! expressionPath ) {
+					return;
+				}
+				const passedProp = { elementPath, attributePath, prop: node.name.name };
+				if ( ! mapCallbacks.length ) {
+					getPassedVars( expressionPath, vars, propsName ).forEach( ( passedVar ) => componentPassedProps.push( { ...passedProp, ...passedVar } ) );
+					return;
+				}
+				const itemVars = getPassedItemVars( expressionPath, mapCallbacks, vars, types );
+				itemVars.forEach( ( passedVar ) => componentPassedProps.push( { ...passedProp, ...passedVar } ) );
+				if ( ! itemVars.length && getPassedVars( expressionPath, vars, propsName ).length ) {
+					componentPassedProps.push( { ...passedProp, unfollowed: true } );
+				}
+			} );
+		},
+	} );
+	return componentPassedProps;
+}
+
+/**
+ * Get the id of a passed prop, the same prop passing the same var has the same id.
+ *
+ * @param {Object} passedProp The passed prop.
+ * @returns {String} The id.
+ */
+function getPassedPropId( { prop, subPath, config } ) {
+	return JSON.stringify( [ prop, subPath, config ] );
+}
+
+/**
+ * Get the vars a component follows from the props passed to it.
+ *
+ * A prop is only followed when every element that renders the component passes it the same template vars,
+ * otherwise the component is rendered with other values (eg `<Avatar name="Guest" />`) - the prop is
+ * returned as a conflict, and the component isn't changed. Vars declared by the component are used instead
+ * of followed vars.
+ *
+ * @param {Object} component The component.
+ * @param {Array} passedProps The props passed to the component (by any element).
+ * @param {Object} types The babel types object.
+ * @param {Object} hocs The HOC configs.
+ * @returns {Object} The followed vars (keyed by var name) and the conflicting props.
+ */
+function getFollowedVars( component, passedProps, types, hocs ) {
+	const followedVars = new Map();
+	const conflicts = [];
+	[ ...new Set( passedProps.map( ( passedProp ) => passedProp.prop ) ) ].forEach( ( prop ) => {
+		const propPassedProps = passedProps.filter( ( passedProp ) => passedProp.prop === prop );
+		const getElementPropIds = ( elementPath ) => {
+			return propPassedProps.filter( ( passedProp ) => passedProp.elementPath.node === elementPath.node ).map( ( passedProp ) => passedProp.unfollowed ? 'unfollowed' : getPassedPropId( passedProp ) ).sort().join( '\n' );
+		};
+		const propIds = getElementPropIds( component.elementPaths[ 0 ] );
+		if ( component.elementPaths.some( ( elementPath ) => getElementPropIds( elementPath ) !== propIds ) ) {
+			conflicts.push( propPassedProps.find( ( passedProp ) => ! passedProp.unfollowed ) ?? propPassedProps[ 0 ] );
+			return;
+		}
+		const propVarName = getPropVarName( component.functionPath, prop, types, hocs );
+		if ( ! propVarName ) {
+			return;
+		}
+		propPassedProps.filter( ( passedProp ) => ! passedProp.unfollowed && passedProp.elementPath.node === component.elementPaths[ 0 ].node ).forEach( ( passedProp ) => {
+			const varName = `${ propVarName }${ passedProp.subPath }`;
+			if ( ! component.declaredVars.some( ( [ declaredVarName ] ) => declaredVarName === varName ) ) {
+				followedVars.set( varName, [ varName, passedProp.config ] );
+			}
+		} );
+	} );
+	return { followedVars, conflicts };
+}
+
+/**
+ * Transform the components of a file, following the template vars passed between them.
+ *
+ * The components are found by the visitor, with the template vars they declare (`null` for components
+ * without template vars, which are transformed if they are passed any) and a function to transform them
+ * with the followed vars.
+ *
+ * @param {Object} programPath The program path.
+ * @param {Array} pendingComponents The components found in the file.
+ * @param {Object} babel The babel instance.
+ * @param {Object} config The plugin config.
+ */
+function transformComponents( programPath, pendingComponents, babel, config ) {
+	const { types } = babel;
+	const hocs = getHocs( config );
+
+	// Components with declared template vars are used instead of the same component without.
+	const components = new Map();
+	[ ...pendingComponents ].sort( ( a, b ) => Boolean( b.templateVars ) - Boolean( a.templateVars ) ).forEach( ( component ) => {
+		if ( components.has( component.componentPath.node ) ) {
+			return;
+		}
+		const { replace, control, list } = component.templateVars ?? { replace: [], control: [], list: [] };
+		const functionPath = getComponentFunctionPath( component.componentPath, types, hocs );
+		components.set( component.componentPath.node, {
+			...component,
+			functionPath,
+			elementPaths: functionPath ? getComponentElements( component, types ) : null,
+			declaredVars: [ ...replace, ...control, ...list ],
+			followedVars: new Map(),
+			conflicts: [],
+		} );
+	} );
+	const renderedComponents = [ ...components.values() ].filter( ( component ) => component.functionPath );
+
+	// Follow the props passed between the components, until the followed vars don't change (components can
+	// pass on the vars they follow, which can also resolve a conflict).
+	let componentPassedProps = [];
+	for ( let i = 0; i <= renderedComponents.length; i++ ) {
+		componentPassedProps = renderedComponents.flatMap( ( component ) => {
+			const vars = [ ...component.declaredVars, ...component.followedVars.values() ];
+			return getPassedProps( component.functionPath, vars, types, hocs );
+		} );
+		let hasChanged = false;
+		renderedComponents.filter( ( component ) => component.elementPaths?.length ).forEach( ( component ) => {
+			const passedProps = componentPassedProps.filter( ( passedProp ) => getElementBinding( passedProp.elementPath )?.path.node === component.componentPath.node );
+			const { followedVars, conflicts } = getFollowedVars( component, passedProps, types, hocs );
+			const nextFollowedVars = conflicts.length ? new Map() : followedVars;
+			hasChanged = hasChanged || JSON.stringify( [ ...nextFollowedVars ] ) !== JSON.stringify( [ ...component.followedVars ] );
+			component.followedVars = nextFollowedVars;
+			component.conflicts = conflicts;
+		} );
+		if ( ! hasChanged ) {
+			break;
+		}
+	}
+
+	componentPassedProps.forEach( ( passedProp ) => {
+		const componentName = passedProp.elementPath.node.name.name;
+		if ( passedProp.unfollowed ) {
+			diagnostics.report( passedProp.attributePath, `The template var passed as \`${ passedProp.prop }\` to \`${ componentName }\` in a list can't be followed, components in a list are rendered in the context of the list item.`, config );
+			return;
+		}
+		const binding = getElementBinding( passedProp.elementPath );
+		if ( binding?.kind === 'module' && binding.path.parent.source.value.startsWith( '.' ) ) {
+			diagnostics.report( passedProp.attributePath, `The template var passed as \`${ passedProp.prop }\` to \`${ componentName }\` can't be followed, only components declared in the same file are followed.`, config );
+			return;
+		}
+		const component = binding ? components.get( binding.path.node ) : null;
+		if ( component?.functionPath && ! component.elementPaths ) {
+			diagnostics.report( passedProp.attributePath, `The template var passed as \`${ passedProp.prop }\` to \`${ componentName }\` can't be followed, \`${ componentName }\` is exported or used other than as an element, so it can be rendered with other props.`, config );
+		}
+	} );
+	renderedComponents.forEach( ( component ) => {
+		component.conflicts.forEach( ( passedProp ) => {
+			diagnostics.report( passedProp.attributePath, `The \`${ passedProp.prop }\` prop of \`${ component.componentName }\` is not passed the same template var by every element that renders it, so the template vars passed to \`${ component.componentName }\` are not followed.`, config );
+		} );
+	} );
+
+	components.forEach( ( component ) => {
+		if ( component.templateVars || component.followedVars.size ) {
+			component.transform( [ ...component.followedVars.values() ] );
+		}
+	} );
+}
+
+module.exports = {
+	transformComponents,
+};
@@ -0,0 +1,116 @@
+/**
+ * Loads the language runtime (`./language/index.js`) in Node.
+ *
+ * The runtime is normally bundled with the app, this is used to render template tags at build time -
+ * by static compilation (see `./compiler`), and to expand the language neutral markers into the
+ * template tags of each language when building for several languages (see the `languages` option).
+ */
+const fs = require( 'fs' );
+const path = require( 'path' );
+const vm = require( 'vm' );
+
+// The language injected when building for several languages, so the runtime outputs markers.
+const neutralLanguage = { name: 'neutral', neutral: true };
+
+// The template file extensions of the built in languages.
+const languageExtensions = {
+	handlebars: 'hbs',
+	php: 'php',
+};
+
+/**
+ * Get the path of a language file, from the name of a built in language (eg `php`) or a path
+ * to a custom language file.
+ *
+ * @param {String} language The language name or path.
+ * @returns {String} The path to the language file.
+ */
+function getLanguagePath( language ) {
+	const builtInPath = path.join( __dirname, 'language', 'languages', `${ language }.json` );
+	if ( /^[\w-]+$/.test( language ) && fs.existsSync( builtInPath ) ) {
+		return builtInPath;
+	}
+	return language;
+}
+
+/**
+ * Read a language file.
+ *
+ * @param {String} language The language name or path.
+ * @returns {Object} The language.
+ */
+function readLanguage( language ) {
+	return JSON.parse( fs.readFileSync( getLanguagePath( language ), { encoding: 'utf8' } ) );
+}
+
+/**
+ * Load the runtime in a sandbox, with the language assigned to its global object.
+ *
+ * The runtime is an ES module, so its exports are removed and its functions are read from the sandbox.
+ *
+ * @param {Object} language The language.
+ * @returns {Object} The runtime functions.
+ */
+function loadLanguageRuntime( language ) {
+	const source = fs.readFileSync( path.join( __dirname, 'language', 'index.js' ), { encoding: 'utf8' } );
+	const sandbox = { templateVarsLanguage: language };
+	vm.runInNewContext( source.replace( /^\s*export\s+/gm, '' ), sandbox );
+	return {
+		getLanguageReplace: sandbox.getLanguageReplace,
+		getLanguageList: sandbox.getLanguageList,
+		getLanguageControl: sandbox.getLanguageControl,
+		getStyleAttribute: sandbox.getStyleAttribute,
+		expandLanguageMarkers: sandbox.expandLanguageMarkers,
+	};
+}
+
+/**
+ * Load the runtime of each language, for expanding markers.
+ *
+ * @param {Array} languages The languages (names or paths).
+ * @returns {Array} The runtimes, with the language (as passed) and its name.
+ */
+function loadLanguageRuntimes( languages ) {
+	return languages.map( ( language ) => {
+		const languageData = readLanguage( language );
+		return {
+			language,
+			name: languageData.name ?? language,
+			runtime: loadLanguageRuntime( languageData ),
+		};
+	} );
+}
+
+/**
+ * Get the template file extension of a language, eg `hbs` for Handlebars.
+ *
+ * @param {String} name The language name.
+ * @returns {String} The extension.
+ */
+function getLanguageExtension( name ) {
+	return languageExtensions[ name ] ?? name;
+}
+
+/**
+ * Expand the language neutral markers in rendered markup, into a template for each language.
+ *
+ * @param {String} markup The markup with markers.
+ * @param {Array} runtimes The language runtimes (see `loadLanguageRuntimes()`).
+ * @returns {Array} The templates, with the language name.
+ */
+function expandMarkers( markup, runtimes ) {
+	return runtimes.map( ( { name, runtime } ) => ( {
+		name,
+		template: runtime.expandLanguageMarkers( markup ),
+	} ) );
+}
+
+module.exports = {
+	neutralLanguage,
+	getLanguagePath,
+	readLanguage,
+	loadLanguageRuntime,
+	loadLanguageRuntimes,
+	getLanguageExtension,
+	expandMarkers,
+};
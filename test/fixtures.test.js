@@ -0,0 +1,233 @@
+/**
+ * Runs the input -> output fixtures in `./fixtures`, with `node --test`.
+ *
+ * Each fixture is a directory with:
+ * - `input.jsx` - the components.
+ * - `options.json` - the plugin options (`plugin`) and the component to render (`render`), eg
+ *   `{ "plugin": { "propagate": true }, "render": "Person" }`.
+ * - `output.hbs` and/or `output.php` - the expected template of the rendered component, in each language.
+ * - `static/` - the expected templates written by static compilation (the `static` option is set when it exists).
+ * - `warnings.txt` - the expected diagnostics, one per line (no warnings are expected without it).
+ *
+ * Components are rendered the way the pre-render does - the transformed code is run with the language
+ * runtime, and the markup is tidied (see `prerender/markup.js`).
+ *
+ * Run with `OVERWRITE=true` to write the actual output to the fixtures (check the changes before committing them).
+ */
+const { test } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+const vm = require( 'vm' );
+const babel = require( '@babel/core' );
+const plugin = require( '..' );
+const { tidyMarkup } = require( '../prerender/markup' );
+
+const fixturesDir = path.join( __dirname, 'fixtures' );
+const overwrite = process.env.OVERWRITE === 'true';
+const languages = {
+	hbs: 'handlebars',
+	php: 'php',
+};
+
+// A minimal JSX renderer, which escapes text and attributes like `renderToString`.
+const rendererSource = `
+const Fragment = Symbol( 'Fragment' );
+const React = { Fragment, Component: class { constructor( props ) { this.props = props; } }, memo: ( c ) => c, forwardRef: ( c ) => ( props ) => c( props, null ) };
+const escape = ( value ) => String( value ).replace( /[&<>"]/g, ( char ) => ( { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' } )[ char ] );
+const renderStyle = ( style ) => Object.entries( style ).map( ( [ key, value ] ) => \`\${ key.replace( /[A-Z]/g, ( char ) => '-' + char.toLowerCase() ) }:\${ value }\` ).join( ';' );
+function h( type, props, ...children ) {
+	return { type, props: props ?? {}, children: children.flat( Infinity ) };
+}
+function render( node ) {
+	if ( node === null || node === undefined || typeof node === 'boolean' ) {
+		return '';
+	}
+	if ( Array.isArray( node ) ) {
+		return node.map( render ).join( '' );
+	}
+	if ( typeof node !== 'object' ) {
+		return escape( node );
+	}
+	if ( node.type === Fragment ) {
+		return render( node.children );
+	}
+	if ( typeof node.type === 'function' ) {
+		const props = node.children.length ? { ...node.props, children: node.children } : node.props;
+		if ( node.type.prototype?.render ) {
+			return render( new node.type( props ).render() );
+		}
+		return render( node.type( props ) );
+	}
+	const attributes = Object.entries( node.props ).map( ( [ name, value ] ) => {
+		if ( name === 'children' || name === 'key' || name === '__context__' || value === null || value === undefined || value === false || typeof value === 'function' ) {
+			return '';
+		}
+		const attributeName = name === 'className' ? 'class' : name;
+		if ( value === true ) {
+			return \` \${ attributeName }\`;
+		}
+		return \` \${ attributeName }="\${ escape( name === 'style' && typeof value === 'object' ? renderStyle( value ) : value ) }"\`;
+	} ).join( '' );
+	return \`<\${ node.type }\${ attributes }>\${ render( node.children ) }</\${ node.type }>\`;
+}
+`;
+const languageSource = fs.readFileSync( path.join( __dirname, '..', 'language', 'index.js' ), { encoding: 'utf8' } ).replace( /^\s*export\s+/gm, '' );
+
+/**
+ * Transform a fixture with the plugin, collecting the diagnostics.
+ *
+ * @param {Object} fixture The fixture.
+ * @param {Object} pluginOptions The plugin options.
+ * @returns {Object} The code and the warnings.
+ */
+function transform( fixture, pluginOptions ) {
+	const warnings = [];
+	const { warn } = console;
+	console.warn = ( message ) => warnings.push( message );
+	try {
+		const { code } = babel.transformSync( fixture.input, {
+			// The plugin doesn't transform its own files, so the fixture is given a filename outside of the package.
+			filename: path.join( os.tmpdir(), 'jsx-template-vars-fixtures', fixture.name, 'input.jsx' ),
+			babelrc: false,
+			configFile: false,
+			plugins: [
+				[ plugin, pluginOptions ],
+				[ '@babel/plugin-transform-react-jsx', { pragma: 'h', pragmaFrag: 'Fragment' } ],
+			],
+		} );
+		return { code, warnings: warnings.map( getWarningMessage ) };
+	} finally {
+		console.warn = warn;
+	}
+}
+
+/**
+ * Get the message of a diagnostic, without the filename and code frame.
+ *
+ * @param {String} warning The warning.
+ * @returns {String} The message.
+ */
+function getWarningMessage( warning ) {
+	const [ message ] = warning.split( '\n' );
+	return message.substring( message.indexOf( '[jsx-template-vars]' ) );
+}
+
+/**
+ * Render a component from the transformed code, and tidy the markup.
+ *
+ * @param {String} code The transformed code.
+ * @param {String} componentName The component to render.
+ * @returns {String} The template.
+ */
+function render( code, componentName ) {
+	const moduleCode = code.replace( /^import .*$/gm, '' ).replace( /^export default /gm, '' ).replace( /^export /gm, '' );
+	const sandbox = {};
+	sandbox.globalThis = sandbox;
+	vm.runInNewContext( `${ rendererSource }\n${ languageSource }\n${ moduleCode }\nglobalThis.markup = render( h( ${ componentName }, null ) );`, sandbox );
+	return tidyMarkup( sandbox.markup );
+}
+
+/**
+ * Read the files of a directory, keyed by filename (if it exists).
+ *
+ * @param {String} dir The directory.
+ * @returns {Object|null} The file contents.
+ */
+function readFiles( dir ) {
+	if ( ! fs.existsSync( dir ) ) {
+		return null;
+	}
+	const filenames = fs.readdirSync( dir, { withFileTypes: true } ).filter( ( entry ) => entry.isFile() ).map( ( entry ) => entry.name ).sort();
+	return Object.fromEntries( filenames.map( ( filename ) => [ filename, fs.readFileSync( path.join( dir, filename ), { encoding: 'utf8' } ).trim() ] ) );
+}
+
+/**
+ * Read a fixture.
+ *
+ * @param {String} name The fixture name (its path in the fixtures directory).
+ * @returns {Object} The fixture.
+ */
+function readFixture( name ) {
+	const dir = path.join( fixturesDir, name );
+	const files = readFiles( dir );
+	const warningsFile = files[ 'warnings.txt' ];
+	return {
+		name,
+		input: files[ 'input.jsx' ],
+		options: files[ 'options.json' ] ? JSON.parse( files[ 'options.json' ] ) : {},
+		outputs: Object.keys( languages ).filter( ( extension ) => files[ `output.${ extension }` ] !== undefined ).map( ( extension ) => [ extension, files[ `output.${ extension }` ] ] ),
+		staticOutputs: readFiles( path.join( dir, 'static' ) ),
+		warnings: warningsFile ? warningsFile.split( '\n' ) : [],
+	};
+}
+
+/**
+ * Find the fixtures (directories with an `input.jsx`).
+ *
+ * @param {String} dir The directory to search, relative to the fixtures directory.
+ * @returns {Array} The fixture names.
+ */
+function findFixtures( dir = '' ) {
+	return fs.readdirSync( path.join( fixturesDir, dir ), { withFileTypes: true } ).filter( ( entry ) => entry.isDirectory() ).flatMap( ( entry ) => {
+		const name = path.join( dir, entry.name );
+		return fs.existsSync( path.join( fixturesDir, name, 'input.jsx' ) ) ? [ name ] : findFixtures( name );
+	} );
+}
+
+/**
+ * Write the actual output of a fixture (when overwriting).
+ *
+ * @param {Object} fixture The fixture.
+ * @param {String} filename The filename, relative to the fixture.
+ * @param {String} content The content, an empty string removes the file.
+ */
+function writeFixtureFile( fixture, filename, content ) {
+	const filePath = path.join( fixturesDir, fixture.name, filename );
+	if ( ! content ) {
+		fs.rmSync( filePath, { force: true } );
+		return;
+	}
+	fs.mkdirSync( path.dirname( filePath ), { recursive: true } );
+	fs.writeFileSync( filePath, content + '\n' );
+}
+
+findFixtures().map( readFixture ).forEach( ( fixture ) => {
+	fixture.outputs.forEach( ( [ extension, expected ] ) => {
+		test( `${ fixture.name } (${ extension })`, () => {
+			const { code, warnings } = transform( fixture, { ...fixture.options.plugin, language: languages[ extension ] } );
+			const output = render( code, fixture.options.render );
+			if ( overwrite ) {
+				writeFixtureFile( fixture, 'warnings.txt', warnings.join( '\n' ) );
+				writeFixtureFile( fixture, `output.${ extension }`, output );
+				return;
+			}
+			assert.deepStrictEqual( warnings, fixture.warnings );
+			assert.strictEqual( output, expected );
+		} );
+	} );
+
+	if ( fixture.staticOutputs ) {
+		const extensions = [ ...new Set( Object.keys( fixture.staticOutputs ).map( ( filename ) => path.extname( filename ).substring( 1 ) ) ) ];
+		extensions.forEach( ( extension ) => {
+			test( `${ fixture.name } (static ${ extension })`, () => {
+				const outputDir = fs.mkdtempSync( path.join( os.tmpdir(), 'jsx-template-vars-' ) );
+				try {
+					const { warnings } = transform( fixture, { ...fixture.options.plugin, language: languages[ extension ], static: { outputDir } } );
+					const templates = readFiles( outputDir );
+					if ( overwrite ) {
+						writeFixtureFile( fixture, 'warnings.txt', warnings.join( '\n' ) );
+						Object.entries( templates ).forEach( ( [ filename, template ] ) => writeFixtureFile( fixture, path.join( 'static', filename ), template ) );
+						return;
+					}
+					assert.deepStrictEqual( warnings, fixture.warnings );
+					const expected = Object.fromEntries( Object.entries( fixture.staticOutputs ).filter( ( [ filename ] ) => filename.endsWith( `.${ extension }` ) ) );
+					assert.deepStrictEqual( templates, expected );
+				} finally {
+					fs.rmSync( outputDir, { recursive: true, force: true } );
+				}
+			} );
+		} );
+	}
+} );
@@ -0,0 +1,17 @@
+const mine = true;
+
+const Post = ( { isAdmin, isAuthor, status, colors } ) => (
+	<article>
+		{ ( isAdmin || isAuthor ) && <button>Edit</button> }
+		{ ( isAdmin || mine ) && <button>Delete</button> }
+		{ ! ( isAdmin && status === 'draft' ) && <span>Published</span> }
+		<ul>{ colors.map( ( color ) => <li key={ color }>{ color }</li> ) }</ul>
+		{ ( colors.length === 0 || ! isAuthor ) && <p>Empty</p> }
+	</article>
+);
+Post.templateVars = [
+	[ 'isAdmin', { type: 'control' } ],
+	[ 'isAuthor', { type: 'control' } ],
+	[ 'status', { type: 'control' } ],
+	[ 'colors', { type: 'list' } ],
+];
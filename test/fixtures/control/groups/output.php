@@ -0,0 +1 @@
+<article><?php if ( $data['isAdmin'] || $data['isAuthor'] ) { ?><button>Edit</button><?php } ?><button>Delete</button><?php if ( ! ( $data['isAdmin'] && $data['status'] === 'draft' ) ) { ?><span>Published</span><?php } ?><ul><?php foreach ( $data['colors'] as $data_1_index => $data_1 ) { ?><li><?php echo htmlspecialchars( $data_1, ENT_QUOTES ); ?></li><?php } ?></ul><?php if ( empty( $data['colors'] ) || ! $data['isAuthor'] ) { ?><p>Empty</p><?php } ?></article>
@@ -0,0 +1,12 @@
+const Palette = ( { colors, groups } ) => (
+	<div>
+		<p>{ colors.length } colors</p>
+		{ colors.length === 0 && <p>No colors</p> }
+		<ul>{ colors.map( ( color, index ) => <li key={ color }>{ index } of { colors.length }{ colors.length > 0 && <b>!</b> }{ ( index > 0 || colors.length === 0 ) ? null : <i>first</i> }</li> ) }</ul>
+		{ groups.map( ( group ) => <ol key={ group.name }>{ group.items.map( ( item ) => <li key={ item }>{ item } of { group.items.length }</li> ) }</ol> ) }
+	</div>
+);
+Palette.templateVars = [
+	[ 'colors', { type: 'list', as: 'color' } ],
+	[ 'groups', { type: 'list', as: 'group', child: { type: 'object', props: [ 'name', [ 'items', { type: 'list', as: 'item' } ] ] } } ],
+];
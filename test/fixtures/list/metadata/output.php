@@ -0,0 +1 @@
+<div><p><?php echo count( $data['colors'] ); ?> colors</p><?php if ( empty( $data['colors'] ) ) { ?><p>No colors</p><?php } ?><ul><?php foreach ( $data['colors'] as $color_index => $color ) { ?><li><?php echo $color_index; ?> of <?php echo count( $data['colors'] ); ?><?php if ( ! empty( $data['colors'] ) ) { ?><b>!</b><?php } ?><?php if ( $color_index !== 0 || empty( $data['colors'] ) ) { ?><?php } else { ?><i>first</i><?php } ?></li><?php } ?></ul><?php foreach ( $data['groups'] as $group_index => $group ) { ?><ol><?php foreach ( $group['items'] as $item_index => $item ) { ?><li><?php echo htmlspecialchars( $item, ENT_QUOTES ); ?> of <?php echo count( $group['items'] ); ?></li><?php } ?></ol><?php } ?></div>
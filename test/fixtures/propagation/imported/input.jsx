@@ -0,0 +1,9 @@
+import Avatar from './Avatar';
+
+export const Badge = ( { text } ) => <b>{ text }</b>;
+
+const Header = ( { name } ) => <header><Avatar name={ name } /></header>;
+Header.templateVars = [ 'name' ];
+
+const Person = ( { name } ) => <div><Badge text={ name } /></div>;
+Person.templateVars = [ 'name' ];
@@ -0,0 +1 @@
+<div><b><?php echo htmlspecialchars( $data['name'], ENT_QUOTES ); ?></b></div>
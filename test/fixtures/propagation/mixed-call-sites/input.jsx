@@ -0,0 +1,9 @@
+const Avatar = ( { name } ) => <p>{ name }</p>;
+
+const Person = ( { name } ) => (
+	<div>
+		<Avatar name={ name } />
+		<Avatar name="static" />
+	</div>
+);
+Person.templateVars = [ 'name' ];
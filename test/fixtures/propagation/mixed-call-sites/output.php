@@ -0,0 +1 @@
+<div><p><?php echo htmlspecialchars( $data['name'], ENT_QUOTES ); ?></p><p>static</p></div>
@@ -0,0 +1,19 @@
+const Avatar = ( { title, show } ) => <p>{ title }{ show && <b>!</b> }</p>;
+
+const Swatch = ( { label } ) => <li>{ label }</li>;
+
+const Tags = ( { tags } ) => <ul>{ tags.map( ( tag ) => <li key={ tag }>{ tag }</li> ) }</ul>;
+
+const Person = ( { name, visible, colors, tags } ) => (
+	<div>
+		<Avatar title={ name } show={ visible } />
+		<ul>{ colors.map( ( color ) => <Swatch key={ color.label } label={ color.label } /> ) }</ul>
+		<Tags tags={ tags } />
+	</div>
+);
+Person.templateVars = [
+	'name',
+	[ 'visible', { type: 'control' } ],
+	[ 'colors', { type: 'list', as: 'color', child: { type: 'object', props: [ 'label' ] } } ],
+	[ 'tags', { type: 'list' } ],
+];
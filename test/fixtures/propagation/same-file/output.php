@@ -0,0 +1 @@
+<div><p><?php echo htmlspecialchars( $data['name'], ENT_QUOTES ); ?><?php if ( $data['visible'] ) { ?><b>!</b><?php } ?></p><ul><?php foreach ( $data['colors'] as $color_index => $color ) { ?><li><?php echo htmlspecialchars( $color['label'], ENT_QUOTES ); ?></li><?php } ?></ul><ul><?php foreach ( $data['tags'] as $data_1_index => $data_1 ) { ?><li><?php echo htmlspecialchars( $data_1, ENT_QUOTES ); ?></li><?php } ?></ul></div>
@@ -0,0 +1,6 @@
+const Swatch = ( { color, label } ) => (
+	<div className="swatch" style={ { backgroundColor: color, padding: 4, opacity: 0.5 } }>
+		<span style={ { fontWeight: 'bold' } }>{ label }</span>
+	</div>
+);
+Swatch.templateVars = [ 'color', 'label' ];
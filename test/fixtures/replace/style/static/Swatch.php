@@ -0,0 +1 @@
+<div class="swatch" style="background-color:<?php echo htmlspecialchars( preg_replace( '/[^\w\s#%.,()\-]/', '', $data['color'] ), ENT_QUOTES ); ?>;padding:4px;opacity:0.5"><span style="font-weight:bold"><?php echo htmlspecialchars( $data['label'], ENT_QUOTES ); ?></span></div>
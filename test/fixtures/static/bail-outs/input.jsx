@@ -0,0 +1,11 @@
+const Counter = ( { label } ) => {
+	const [ count ] = useState( 0 );
+	return <p>{ label } { count }</p>;
+};
+Counter.templateVars = [ 'label' ];
+
+const Badge = ( { text } ) => <b>{ text }</b>;
+Badge.templateVars = [ 'text' ];
+
+const Profile = ( { name } ) => <div><Badge text="Member" /><h1>{ name }</h1></div>;
+Profile.templateVars = [ 'name' ];
@@ -0,0 +1 @@
+<b><?php echo htmlspecialchars( $data['text'], ENT_QUOTES ); ?></b>
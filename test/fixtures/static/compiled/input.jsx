@@ -0,0 +1,18 @@
+const labels = { sale: 'On sale', new: 'New' };
+
+const Card = ( { title, user, variant, show, colors } ) => (
+	<div className="card">
+		<h2 title={ title }>{ title }</h2>
+		<p>{ user.address.city }</p>
+		<span>{ labels[ variant ] ?? 'Other' }</span>
+		{ show && <b>Shown</b> }
+		<ul>{ colors.map( ( color ) => <li>{ color }</li> ) }</ul>
+	</div>
+);
+Card.templateVars = [
+	'title',
+	'user.address.city',
+	[ 'variant', { type: 'control' } ],
+	[ 'show', { type: 'control' } ],
+	[ 'colors', { type: 'list' } ],
+];
@@ -0,0 +1 @@
+<div class="card"><h2 title="<?php echo htmlspecialchars( $data['title'], ENT_QUOTES ); ?>"><?php echo htmlspecialchars( $data['title'], ENT_QUOTES ); ?></h2><p><?php echo htmlspecialchars( $data['user']['address']['city'], ENT_QUOTES ); ?></p><span><?php if ( $data['variant'] === 'sale' ) { ?>On sale<?php } elseif ( $data['variant'] === 'new' ) { ?>New<?php } else { ?>Other<?php } ?></span><?php if ( $data['show'] ) { ?><b>Shown</b><?php } ?><ul><?php foreach ( $data['colors'] as $data_1_index => $data_1 ) { ?><li><?php echo htmlspecialchars( $data_1, ENT_QUOTES ); ?></li><?php } ?></ul></div>
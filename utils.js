@@ -1,12 +1,31 @@
+// TypeScript expressions that wrap a value, eg `[ ... ] as const` or `[ ... ] satisfies TemplateVars`.
+const tsWrapperTypes = [ 'TSAsExpression', 'TSSatisfiesExpression', 'TSTypeAssertion', 'TSNonNullExpression', 'ParenthesizedExpression' ];
+
+/**
+ * Unwrap any TypeScript expressions (and parentheses) wrapping a value.
+ *
+ * @param {Object} expression The expression.
+ * @returns {Object} The unwrapped expression.
+ */
+function unwrapTSExpression( expression ) {
+	let unwrapped = expression;
+	while ( unwrapped && tsWrapperTypes.includes( unwrapped.type ) ) {
+		unwrapped = unwrapped.expression;
+	}
+	return unwrapped;
+}
+
 function getObjectFromExpression( expression ) {
 	let obj = {};
 	expression.properties.forEach( ( property ) => {
-			if ( property.value.value ) {
-				obj[ property.key.name ] = property.value.value;
-			} else if ( property.value.elements ) {
-				obj[ property.key.name ] = getArrayFromExpression( property.value );
-			} else if ( property.value.properties ) {
-				obj[ property.key.name ] = getObjectFromExpression( property.value );
+			const value = unwrapTSExpression( property.value );
+			// Literal values can be falsy, eg `escape: false`.
+			if ( value.value !== undefined ) {
+				obj[ property.key.name ] = value.value;
+			} else if ( value.elements ) {
+				obj[ property.key.name ] = getArrayFromExpression( value );
+			} else if ( value.properties ) {
+				obj[ property.key.name ] = getObjectFromExpression( value );
 			}
 	} );
 	return obj;
@@ -14,7 +33,7 @@ function getObjectFromExpression( expression ) {
 function getArrayFromExpression( expression ) {
 	const props = [];
 	if ( expression && expression.elements ) {
-		expression.elements.forEach( ( element ) => {
+		expression.elements.map( unwrapTSExpression ).forEach( ( element ) => {
 			if ( element.type === 'StringLiteral' ) {
 				props.push( element.value );
 			}
@@ -35,8 +54,67 @@ function getArrayFromExpression( expression ) {
 	return props;
 };
 
-function getExpressionArgs( expression, types ) {
+/**
+ * Gets the dot path of a (non computed) member expression, eg `user.address.city` or `this.props.name`.
+ *
+ * @param {Object} expression The member expression (or identifier).
+ * @param {Object} types The babel types object.
+ * @returns {String|null} The dot path or null if the expression can't be represented as one.
+ */
+function getMemberExpressionPath( expression, types ) {
+	if ( types.isIdentifier( expression ) ) {
+		return expression.name;
+	}
+	if ( types.isThisExpression( expression ) ) {
+		return 'this';
+	}
+	if ( types.isMemberExpression( expression ) && ! expression.computed && types.isIdentifier( expression.property ) ) {
+		const objectPath = getMemberExpressionPath( expression.object, types );
+		if ( objectPath ) {
+			return `${ objectPath }.${ expression.property.name }`;
+		}
+	}
+	return null;
+}
+
+/**
+ * Gets the path to a template var in the data passed to the template.
+ *
+ * Dot path vars that start with the props name (eg `props.name`) are relative to the props, so the
+ * props name is removed - the props are the data.
+ *
+ * Vars followed from a parent component (see `./propagation`) read the data of the parent var, set as `from`.
+ *
+ * @param {String} varName The template var name.
+ * @param {String|null} propsName The props name (eg `props` or `this.props`), if props are not destructured.
+ * @param {Object} varConfig The var config.
+ * @returns {String} The data path.
+ */
+function getVarDataPath( varName, propsName, varConfig = {} ) {
+	if ( varConfig.from ) {
+		return varConfig.from;
+	}
+	if ( propsName && varName.startsWith( `${ propsName }.` ) ) {
+		return varName.substring( propsName.length + 1 );
+	}
+	return varName;
+}
+
+/**
+ * Checks if a replace var should be output without escaping - either with the `raw` type
+ * or with `escape: false` set.
+ *
+ * @param {Object} varConfig The var config.
+ * @returns {Boolean} Whether the var is raw.
+ */
+function isRawVar( varConfig = {} ) {
+	return varConfig.type === 'raw' || varConfig.escape === false;
+}
+
+function getExpressionArgs( sourceExpression, types ) {
 	let args = [];
+	// Ignore TypeScript wrappers, eg `( count as number )`.
+	const expression = unwrapTSExpression( sourceExpression );
 	// let currentNode = expression.left;
 	if ( types.isIdentifier( expression ) ) {
 		args.push( { type: 'identifier', value: expression.name } );
@@ -46,7 +124,10 @@ function getExpressionArgs( expression, types ) {
 		// Should handle booleans, integers, floats etc
 		args.push( { type: 'value', value: String( expression.value ) } );
 	} else if ( types.isMemberExpression( expression )) {
-		args.push( { type: 'identifier', value: `${ expression.object.name }.${ expression.property.name }` } );
+		const memberPath = getMemberExpressionPath( expression, types );
+		if ( memberPath ) {
+			args.push( { type: 'identifier', value: memberPath } );
+		}
 	} else if ( types.isUnaryExpression( expression ) ) {
 		args = [ ...args, ...getExpressionArgs( expression.argument, types ) ];
 	}
@@ -118,11 +199,143 @@ function isJSXElementTextInput( subPath ) {
 
 }
 
+// HOCs that are always unwrapped to find the component render function.
+const defaultHocs = [ 'memo', 'forwardRef' ];
+
+/**
+ * Build the HOC configs (keyed by callee name) from the defaults and the plugin config.
+ *
+ * HOCs can be set in the plugin config as a string, or an array with a config object, eg:
+ * `hocs: [ 'withRouter', [ 'withTheme', { propsParam: 1 } ] ]`
+ * where `propsParam` is the index of the props param in the wrapped render function.
+ *
+ * @param {Object} config The plugin config.
+ * @returns {Object} The HOC configs.
+ */
+function getHocs( config ) {
+	const hocs = {};
+	[ ...defaultHocs, ...( config.hocs ?? [] ) ].forEach( ( hoc ) => {
+		const [ hocName, hocConfig ] = Array.isArray( hoc ) ? hoc : [ hoc, {} ];
+		hocs[ hocName ] = { propsParam: 0, ...hocConfig };
+	} );
+	return hocs;
+}
+
+/**
+ * Gets the HOC config for a call expression, if its callee is one of the supported HOCs.
+ *
+ * Supports both `memo( ... )` and `React.memo( ... )` style callees.
+ *
+ * @param {Object} node The node to check.
+ * @param {Object} types The babel types object.
+ * @param {Object} hocs The HOC configs, keyed by callee name.
+ * @returns {Object|null} The HOC config or null if the node is not a HOC call.
+ */
+function getHocConfig( node, types, hocs = {} ) {
+	if ( ! types.isCallExpression( node ) ) {
+		return null;
+	}
+	let calleeName;
+	if ( types.isIdentifier( node.callee ) ) {
+		calleeName = node.callee.name;
+	} else if ( types.isMemberExpression( node.callee ) && types.isIdentifier( node.callee.property ) ) {
+		calleeName = node.callee.property.name;
+	}
+	if ( calleeName && hocs[ calleeName ] ) {
+		return hocs[ calleeName ];
+	}
+	return null;
+}
+
+/**
+ * Gets the path of the function that renders the component.
+ *
+ * - Function declarations are returned as they are.
+ * - Variable declarators return their (arrow) function expression.
+ * - Classes (declarations or expressions) return their `render()` method.
+ * - HOCs such as `memo( ... )` and `forwardRef( ... )` are unwrapped to find the render function,
+ *   if the HOC is passed an identifier, its declaration is followed.
+ *
+ * @param {Object} componentPath The component path (as found by the visitor).
+ * @param {Object} types The babel types object.
+ * @param {Object} hocs The HOC configs, keyed by callee name.
+ * @returns {Object|null} The function path or null if it can't be found.
+ */
+function getComponentFunctionPath( componentPath, types, hocs = {} ) {
+	let path = componentPath;
+	if ( types.isVariableDeclarator( path.node ) ) {
+		path = path.get( 'init' );
+	}
+	if ( ! path.node ) {
+		return null;
+	}
+	if ( getHocConfig( path.node, types, hocs ) ) {
+		// The wrapped component is the first argument of the HOC.
+		const argumentPath = path.get( 'arguments.0' );
+		if ( ! argumentPath || ! argumentPath.node ) {
+			return null;
+		}
+		if ( types.isIdentifier( argumentPath.node ) ) {
+			// Follow the identifier to where the component is declared, eg `memo( Card )`.
+			const binding = argumentPath.scope.getBinding( argumentPath.node.name );
+			if ( ! binding || binding.path === componentPath ) {
+				return null;
+			}
+			return getComponentFunctionPath( binding.path, types, hocs );
+		}
+		return getComponentFunctionPath( argumentPath, types, hocs );
+	}
+	if ( types.isClass( path.node ) ) {
+		const renderMethodPath = path.get( 'body.body' ).find( ( methodPath ) => {
+			return types.isClassMethod( methodPath.node ) && ! methodPath.node.static && types.isIdentifier( methodPath.node.key, { name: 'render' } );
+		} );
+		return renderMethodPath || null;
+	}
+	if ( types.isFunctionDeclaration( path.node ) || types.isFunctionExpression( path.node ) || types.isArrowFunctionExpression( path.node ) ) {
+		return path;
+	}
+	return null;
+}
+
+// The key of the babel file metadata, set when a component in the file has been transformed.
+const transformedFileKey = 'templateVarsTransformed';
+
+/**
+ * Flag a babel file as having a transformed component, so the language is injected into it.
+ *
+ * The flag is stored on the file (rather than in module state), so the output of each file does not depend
+ * on the order files are transformed in - eg with caching, parallel builds or watch mode.
+ *
+ * @param {Object} file The babel file.
+ */
+function setFileTransformed( file ) {
+	file.set( transformedFileKey, true );
+}
+
+/**
+ * Check if a babel file has a transformed component.
+ *
+ * @param {Object} file The babel file.
+ * @returns {Boolean} Whether the file has a transformed component.
+ */
+function isFileTransformed( file ) {
+	return file.get( transformedFileKey ) === true;
+}
+
 module.exports = {
+	getComponentFunctionPath,
+	getHocConfig,
+	getHocs,
+	getMemberExpressionPath,
+	getVarDataPath,
+	isRawVar,
 	getExpressionArgs,
 	getArrayFromExpression,
 	getObjectFromExpression,
+	unwrapTSExpression,
 	injectContextToJSXElementComponents,
 	isJSXElementComponent,
 	isJSXElementTextInput,
+	setFileTransformed,
+	isFileTransformed,
 };
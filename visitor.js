@@ -42,9 +42,15 @@
   */
 const {
 	getArrayFromExpression,
+	getComponentFunctionPath,
+	getHocs,
+	setFileTransformed,
+	unwrapTSExpression,
 } = require( './utils' );
 
 const templateVarsController = require( './controller' );
+const manifest = require( './manifest' );
+const diagnostics = require( './diagnostics' );
 /**
  * Ensure the config prop is an array of two elements, with the first item being the var name and the second being the var config.
  * 
@@ -58,6 +64,10 @@ function normaliseConfigProp( prop ) {
 	return prop;
 }
 const defaultLanguage = 'handlebars';
+// The hook that declares the template vars of a component, eg `useTemplateVars( [ 'name' ] )`.
+const hookName = 'useTemplateVars';
+// The package the hook is imported from (the import is removed with the hook).
+const packageName = 'babel-plugin-jsx-template-vars';
 
 /**
  * Gets the template vars from the property definition.
@@ -87,37 +97,186 @@ function getTemplateVarsFromExpression( expression, types ) {
 	const propertyName = property.name;
 
 	if ( propertyName === 'templateVars' ) {
-		let templatePropsValue = [];
-		// Now process the right part of the expression 
-		// .templateVars = *right* and build our config object.
-		if ( right && right.type === 'ArrayExpression' ) {
-			// Then we have an array to process the props.
-			templatePropsValue = getArrayFromExpression( right );
-		}
-		const templateVars = {
-			replace: [],
-			control: [],
-			list: [],
+		return getTemplateVarsFromValue( right );
+	}
+	return false;
+}
+
+/**
+ * Gets the template vars from a static class property, eg `static templateVars = [ ... ]`.
+ *
+ * @param {Object} node The class property node
+ * @param {Object} types The babel types object
+ *
+ * @returns
+ */
+function getTemplateVarsFromClassProperty( node, types ) {
+	if ( ! node.static || node.computed ) {
+		return false;
+	}
+	if ( ! types.isIdentifier( node.key ) || node.key.name !== 'templateVars' ) {
+		return false;
+	}
+	return getTemplateVarsFromValue( node.value );
+}
+
+/**
+ * Builds the template vars config object from the value assigned to `templateVars`.
+ *
+ * @param {Object} value The value node (the array of template vars)
+ *
+ * @returns
+ */
+function getTemplateVarsFromValue( templateVarsValue ) {
+	// Support TypeScript wrappers, eg `[ ... ] as const` or `[ ... ] satisfies TemplateVars`.
+	const value = unwrapTSExpression( templateVarsValue );
+	let templatePropsValue = [];
+	// Now process the right part of the expression 
+	// .templateVars = *right* and build our config object.
+	if ( value && value.type === 'ArrayExpression' ) {
+		// Then we have an array to process the props.
+		templatePropsValue = getArrayFromExpression( value );
+	}
+	return getTemplateVarsFromArray( templatePropsValue );
+}
+
+/**
+ * Builds the template vars config object from an array of template vars, eg `[ 'name', [ 'show', { type: 'control' } ] ]`.
+ *
+ * @param {Array} templatePropsValue The template vars.
+ *
+ * @returns
+ */
+function getTemplateVarsFromArray( templatePropsValue ) {
+	const templateVars = {
+		replace: [],
+		control: [],
+		list: [],
+	}
+
+	// Build template prop queues for processing at different times.
+	templatePropsValue.forEach( ( prop ) => {
+		const normalisedProp = normaliseConfigProp( prop );
+		const [ varName, varConfig ] = normalisedProp;
+
+		// If the type is not set assume it is `replace`, `raw` vars are replace vars that are not escaped.
+		if ( varConfig.type === 'replace' || varConfig.type === 'raw' || ! varConfig.type ) {
+			templateVars.replace.push( normalisedProp );
+		} else if ( varConfig.type === 'control' ) {
+			templateVars.control.push( normalisedProp );
+		} else if ( varConfig.type === 'list' ) {
+			templateVars.list.push( normalisedProp );
 		}
+		
+	} );
+	return templateVars;
+}
 
-		// Build template prop queues for processing at different times.
-		templatePropsValue.forEach( ( prop ) => {
-			const normalisedProp = normaliseConfigProp( prop );
-			const [ varName, varConfig ] = normalisedProp;
-
-			// If the type is not set assume it is `replace`
-			if ( varConfig.type === 'replace' || ! varConfig.type ) {
-				templateVars.replace.push( normalisedProp );
-			} else if ( varConfig.type === 'control' ) {
-				templateVars.control.push( normalisedProp );
-			} else if ( varConfig.type === 'list' ) {
-				templateVars.list.push( normalisedProp );
-			}
-			
+/**
+ * Gets the template vars of a component from the `components` option, eg `components: { Person: [ 'name' ] }`.
+ *
+ * @param {String} componentName The component name.
+ * @param {Object} config The plugin config.
+ *
+ * @returns
+ */
+function getTemplateVarsFromConfig( componentName, config ) {
+	const components = config.components ?? {};
+	if ( ! Object.prototype.hasOwnProperty.call( components, componentName ) ) {
+		return false;
+	}
+	return getTemplateVarsFromArray( components[ componentName ] );
+}
+
+/**
+ * Gets the template vars from a `@templateVars` tag in the doc comment of a component, eg:
+ * `/** @templateVars name, [show:control], [colors:list] *\/`
+ *
+ * Each var is a name (a replace var), or a name and type in brackets.
+ *
+ * @param {Array} comments The leading comments of the component.
+ *
+ * @returns
+ */
+function getTemplateVarsFromComments( comments ) {
+	const comment = comments.find( ( { value } ) => /@templateVars\b/.test( value ) );
+	if ( ! comment ) {
+		return false;
+	}
+	// The tag ends at the next tag (or the end of the comment).
+	const [ , tagValue ] = comment.value.match( /@templateVars\b([^@]*)/ );
+	const templatePropsValue = tagValue
+		.replace( /^\s*\*/gm, '' )
+		.split( ',' )
+		.map( ( prop ) => prop.trim() )
+		.filter( Boolean )
+		.map( ( prop ) => {
+			const [ varName, varType ] = prop.replace( /^\[|\]$/g, '' ).split( ':' ).map( ( part ) => part.trim() );
+			return varType ? [ varName, { type: varType } ] : varName;
 		} );
-		return templateVars;
+	return getTemplateVarsFromArray( templatePropsValue );
+}
+
+/**
+ * Gets the statement of a module level declaration, and the export wrapping it (if exported).
+ *
+ * @param {Object} path The declaration path (a variable declarator, function or class declaration).
+ * @param {Object} types The babel types object.
+ *
+ * @returns {Array|null} The statement paths (the declaration and export), or null if the declaration is not at the module level.
+ */
+function getModuleDeclarationPaths( path, types ) {
+	const statementPath = types.isVariableDeclarator( path.node ) ? path.parentPath : path;
+	const exportPath = types.isExportDeclaration( statementPath.parent ) ? statementPath.parentPath : null;
+	if ( ! types.isProgram( ( exportPath ?? statementPath ).parent ) ) {
+		return null;
 	}
-	return false;
+	return [ statementPath, exportPath ].filter( Boolean );
+}
+
+/**
+ * Find the `useTemplateVars( [ ... ] )` call in the render function of a component.
+ *
+ * The hook must be called as a statement in the body of the render function.
+ *
+ * @param {Object} componentPath The component path.
+ * @param {Object} types The babel types object.
+ * @param {Object} hocs The HOC configs.
+ *
+ * @returns {Object|null} The statement path of the hook call.
+ */
+function getTemplateVarsHookPath( componentPath, types, hocs ) {
+	const functionPath = getComponentFunctionPath( componentPath, types, hocs );
+	if ( ! functionPath || ! types.isBlockStatement( functionPath.node.body ) ) {
+		return null;
+	}
+	return functionPath.get( 'body.body' ).find( ( statementPath ) => {
+		const { expression } = statementPath.node;
+		if ( ! types.isExpressionStatement( statementPath.node ) || ! types.isCallExpression( expression ) ) {
+			return false;
+		}
+		const { callee } = expression;
+		return types.isIdentifier( callee, { name: hookName } ) || ( types.isMemberExpression( callee ) && types.isIdentifier( callee.property, { name: hookName } ) );
+	} ) ?? null;
+}
+
+/**
+ * Add the template vars followed from parent components (see `./propagation`) to the template vars of
+ * a component.
+ *
+ * @param {Object|null} templateVars The template vars declared by the component (if any).
+ * @param {Array} followedVars The followed vars.
+ *
+ * @returns
+ */
+function mergeFollowedVars( templateVars, followedVars ) {
+	const declaredTemplateVars = templateVars ?? getTemplateVarsFromArray( [] );
+	const followedTemplateVars = getTemplateVarsFromArray( followedVars );
+	return {
+		replace: [ ...declaredTemplateVars.replace, ...followedTemplateVars.replace ],
+		control: [ ...declaredTemplateVars.control, ...followedTemplateVars.control ],
+		list: [ ...declaredTemplateVars.list, ...followedTemplateVars.list ],
+	};
 }
 
 /**
@@ -125,11 +284,104 @@ function getTemplateVarsFromExpression( expression, types ) {
  * 
  * @param {Object} param0 Babel instance.
  * @param {Object} config Plugin config.
+ * @param {Object|null} compiler The static compiler (if static compilation is enabled).
+ * @param {Array|null} pendingComponents When set, the components are added to it to be transformed once
+ *                                       the file has been visited (see `./propagation`).
  * @returns 
  */
-function templateVarsVisitor( babel, config ) {
+function templateVarsVisitor( babel, config, compiler = null, pendingComponents = null ) {
 	const { types } = babel;
 	const tidyOnly = config.tidyOnly ?? false;
+	const manifestPath = manifest.getManifestPath( config );
+	const hocs = getHocs( config );
+	// The components that have been transformed, template vars can be declared in several ways but only one is used.
+	const initialisedComponents = new WeakSet();
+
+	/**
+	 * Add the component to the manifest (if enabled).
+	 *
+	 * @param {Object} templateVars The template vars.
+	 * @param {String} componentName The component name.
+	 * @param {Object} path The path of the templateVars declaration.
+	 * @param {Object} componentPath The component path (if found).
+	 */
+	function addToManifest( templateVars, componentName, path, componentPath ) {
+		if ( ! manifestPath ) {
+			return;
+		}
+		const sourceNode = componentPath ? componentPath.node : path.node;
+		manifest.addComponent( templateVars, {
+			name: componentName,
+			filename: path.hub.file.opts.filename,
+			line: sourceNode.loc ? sourceNode.loc.start.line : null,
+		} );
+	}
+
+	/**
+	 * Compile the transformed component to a template file (if static compilation is enabled).
+	 *
+	 * @param {Object} componentPath The component path.
+	 * @param {String} componentName The component name.
+	 * @param {Object|null} functionPath The path of the component render function.
+	 */
+	function compileComponent( componentPath, componentName, functionPath ) {
+		if ( compiler ) {
+			compiler.compileComponent( componentPath, componentName, functionPath );
+		}
+	}
+
+	/**
+	 * Add a component to be transformed once the file has been visited, with the template vars followed
+	 * from parent components.
+	 *
+	 * @param {Object|null} templateVars The template vars (null for components without template vars).
+	 * @param {String} componentName The component name.
+	 * @param {Object} componentPath The component path.
+	 */
+	function addPendingComponent( templateVars, componentName, componentPath ) {
+		pendingComponents.push( {
+			templateVars,
+			componentName,
+			componentPath,
+			transform: ( followedVars ) => transformComponent( mergeFollowedVars( templateVars, followedVars ), componentName, componentPath ),
+		} );
+	}
+
+	/**
+	 * Init the component with its template vars - it is transformed now, or once the file has been visited
+	 * when following template vars across components.
+	 *
+	 * @param {Object} templateVars The template vars.
+	 * @param {String} componentName The component name.
+	 * @param {Object} componentPath The component path.
+	 */
+	function initComponent( templateVars, componentName, componentPath ) {
+		if ( initialisedComponents.has( componentPath.node ) ) {
+			diagnostics.report( componentPath, `The templateVars of the component \`${ componentName }\` are declared more than once, only the first are used.`, config );
+			return;
+		}
+		initialisedComponents.add( componentPath.node );
+		if ( pendingComponents ) {
+			addPendingComponent( templateVars, componentName, componentPath );
+			return;
+		}
+		transformComponent( templateVars, componentName, componentPath );
+	}
+
+	/**
+	 * Transform the component with its template vars, and compile it (if enabled).
+	 *
+	 * @param {Object} templateVars The template vars.
+	 * @param {String} componentName The component name.
+	 * @param {Object} componentPath The component path.
+	 */
+	function transformComponent( templateVars, componentName, componentPath ) {
+		const functionPath = templateVarsController.init( templateVars, componentPath, babel, config );
+		if ( functionPath ) {
+			setFileTransformed( componentPath.hub.file );
+		}
+		compileComponent( componentPath, componentName, functionPath );
+	}
 
 	return {
 		ExpressionStatement( path, state ) {
@@ -148,7 +400,13 @@ function templateVarsVisitor( babel, config ) {
 			// We know this exists because it was checked in getTemplateVarsFromExpression
 			const componentName = path.node.expression.left.object.name;
 			// Find the component path by name
-			const componentPath = getComponentPath( path.parentPath, componentName );
+			const componentPath = getComponentPath( path.parentPath, componentName, types );
+
+			addToManifest( templateVars, componentName, path, componentPath );
+
+			if ( ! componentPath && ! tidyOnly ) {
+				diagnostics.report( path, `The component \`${ componentName }\` could not be found, its templateVars will be ignored.`, config );
+			}
 			
 			// Remove templateVars from the source
 			path.remove();
@@ -163,22 +421,123 @@ function templateVarsVisitor( babel, config ) {
 				return;
 			}
 
-			templateVarsController.init( templateVars, componentPath, babel );
-		}
+			initComponent( templateVars, componentName, componentPath );
+		},
+		ClassProperty( path ) {
+			// Look for `static templateVars = [ ... ]` on class components.
+			const templateVars = getTemplateVarsFromClassProperty( path.node, types );
+			if ( ! templateVars ) {
+				return;
+			}
+
+			// The class is the parent of the class body.
+			const componentPath = path.parentPath.parentPath;
+			const componentName = componentPath.node.id ? componentPath.node.id.name : null;
+
+			addToManifest( templateVars, componentName, path, componentPath );
+
+			// Remove templateVars from the source
+			path.remove();
+
+			if ( tidyOnly ) {
+				return;
+			}
+
+			initComponent( templateVars, componentName, componentPath );
+		},
+		'VariableDeclarator|FunctionDeclaration|ClassDeclaration': {
+			// Look for template vars declared without `templateVars` - in the `components` option, a doc comment
+			// or a `useTemplateVars()` hook (on exit, so the component is transformed once it has been visited).
+			exit( path ) {
+				if ( ! types.isIdentifier( path.node.id ) ) {
+					return;
+				}
+				const declarationPaths = getModuleDeclarationPaths( path, types );
+				if ( ! declarationPaths ) {
+					return;
+				}
+				const componentName = path.node.id.name;
+				const comments = [ path, ...declarationPaths ].flatMap( ( declarationPath ) => declarationPath.node.leadingComments ?? [] );
+
+				// The hook is always removed (it only exists for the plugin).
+				const hookPath = getTemplateVarsHookPath( path, types, hocs );
+				const hookTemplateVars = hookPath ? getTemplateVarsFromValue( hookPath.node.expression.arguments[ 0 ] ) : false;
+				if ( hookPath ) {
+					hookPath.remove();
+				}
+
+				const declaredTemplateVars = [
+					getTemplateVarsFromConfig( componentName, config ),
+					getTemplateVarsFromComments( comments ),
+					hookTemplateVars,
+				].filter( Boolean );
+				if ( ! declaredTemplateVars.length ) {
+					// Components without template vars can be passed template vars by parent components.
+					if ( pendingComponents && ! tidyOnly ) {
+						addPendingComponent( null, componentName, path );
+					}
+					return;
+				}
+
+				addToManifest( declaredTemplateVars[ 0 ], componentName, path, path );
+
+				if ( tidyOnly ) {
+					return;
+				}
+				declaredTemplateVars.forEach( ( templateVars ) => initComponent( templateVars, componentName, path ) );
+			},
+		},
+		ImportDeclaration( path ) {
+			// Remove the import of the hook, eg `import { useTemplateVars } from 'babel-plugin-jsx-template-vars'`.
+			const source = path.node.source.value;
+			if ( source !== packageName && ! source.startsWith( `${ packageName }/` ) ) {
+				return;
+			}
+			const hookSpecifierPaths = path.get( 'specifiers' ).filter( ( specifierPath ) => {
+				return types.isImportSpecifier( specifierPath.node ) && types.isIdentifier( specifierPath.node.imported, { name: hookName } );
+			} );
+			if ( ! hookSpecifierPaths.length ) {
+				return;
+			}
+			if ( hookSpecifierPaths.length === path.node.specifiers.length ) {
+				path.remove();
+				return;
+			}
+			hookSpecifierPaths.forEach( ( specifierPath ) => specifierPath.remove() );
+		},
 	}
 };
 
-// Find and return a component (variable declaration) path via traversal by its name.
-function getComponentPath( path, componentName ) {
+/**
+ * Find and return a component path via traversal by its name.
+ *
+ * Supports variable declarations (arrow functions, function and class expressions),
+ * function declarations and class declarations - including when they are exported.
+ * For variable declarations the matching declarator path is returned.
+ *
+ * @param {Object} path The path to search from.
+ * @param {String} componentName The name of the component.
+ * @param {Object} types The babel types object.
+ * @returns
+ */
+function getComponentPath( path, componentName, types ) {
 	let componentPath;
 	path.traverse( {
 		VariableDeclaration( subPath ) {
-			const declarationName = subPath.node.declarations[0].id.name
-			if ( declarationName === componentName ) {
+			subPath.get( 'declarations' ).forEach( ( declaratorPath ) => {
+				const { id } = declaratorPath.node;
+				if ( types.isIdentifier( id ) && id.name === componentName ) {
+					componentPath = declaratorPath;
+				}
+			} );
+			subPath.skip();
+		},
+		'FunctionDeclaration|ClassDeclaration'( subPath ) {
+			if ( subPath.node.id && subPath.node.id.name === componentName ) {
 				componentPath = subPath;
 			}
 			subPath.skip();
-		}
+		},
 	} );
 	return componentPath;
 }